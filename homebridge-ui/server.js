@@ -0,0 +1,67 @@
+// homebridge-ui/server.js
+
+'use strict';
+
+/**
+ * Timeline preview, computed with the same helpers as the accessories.
+ */
+const { previewTimeline } = require('../src/accessory');
+
+/**
+ * Wall-clock helper, used to resolve the previewed day in the instance's time zone.
+ */
+const { zonedTimeToDate } = require('../src/timezone');
+
+/**
+ * Place-name lookup, for the time zone of instances located by place.
+ */
+const { resolveLocation } = require('../src/gazetteer');
+
+/**
+ * Backend of the custom config UI (runs inside Homebridge UI, not in the bridge).
+ * Requests:
+ *   /preview - { config, date } → the instance's timeline for that day, with warnings.
+ */
+(async() => {
+  // plugin-ui-utils is an ES module
+  const { HomebridgePluginUiServer, RequestError } = await import('@homebridge/plugin-ui-utils');
+
+  class SuncalcUiServer extends HomebridgePluginUiServer {
+    constructor() {
+      super();
+
+      this.onRequest('/preview', payload => this.preview(payload));
+      this.ready();
+    }
+
+    /**
+     * Previews an instance's timeline for a day.
+     * @param {{config: Object, date: string}} payload - The instance config and the day
+     * (YYYY-MM-DD; today if omitted).
+     * @returns {Object} - The result of previewTimeline().
+     */
+    preview(payload) {
+      const config = payload?.config || {};
+      const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(payload?.date || '');
+
+      try {
+        // Noon on that day in the instance's time zone (like the HTTP API's '?date=')
+        let date = new Date();
+        if (match) {
+          const [year, month, day] = match.slice(1).map(Number);
+          const timeZone = resolveLocation(config).config.timeZone || undefined;
+          try {
+            date = zonedTimeToDate(year, month, day, 12, 0, timeZone);
+          } catch {
+            date = zonedTimeToDate(year, month, day, 12, 0);
+          }
+        }
+        return previewTimeline(config, date);
+      } catch (err) {
+        throw new RequestError(`Preview failed: ${err.message}`, { status: 500 });
+      }
+    }
+  }
+
+  return new SuncalcUiServer();
+})();
\ No newline at end of file
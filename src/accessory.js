@@ -3,34 +3,61 @@
 'use strict';
 
 /**
- * Required dependency: suncalc
- * Used to calculate sun position and sunlight phases based on latitude/longitude.
- */
-const suncalc = require('suncalc');
-
-/**
- * Metadata mapping for the 14 solar phases provided by suncalc.
- * Used to generate human-readable names and descriptions for HomeKit sensors.
- */
-const SUN_TIMES_META = {
-  nightEnd: { name: 'Morning Twilight', description: 'Astronomical twilight starts' },
-  nauticalDawn: { name: 'Nautical Dawn', description: 'Nautical twilight starts' },
-  dawn: { name: 'Civil Dawn', description: 'Civil twilight starts' },
-  sunrise: { name: 'First Light', description: 'Sun starts appearing' },
-  sunriseEnd: { name: 'Morning Golden Hour', description: 'Sun is up, golden hour starts' },
-  goldenHourEnd: { name: 'Daytime', description: 'Golden hour ends, full day starts' },
-  solarNoon: { name: 'Solar Noon', description: 'Sun at highest point' },
-  goldenHour: { name: 'Evening Golden Hour', description: 'Evening golden hour starts' },
-  sunsetStart: { name: 'Sunset', description: 'Sun starts setting' },
-  sunset: { name: 'Evening Twilight', description: 'Sun below horizon' },
-  dusk: { name: 'Civil Dusk', description: 'Civil twilight ends' },
-  nauticalDusk: { name: 'Nautical Dusk', description: 'Nautical twilight ends' },
-  night: { name: 'Nightfall', description: 'Astronomical twilight ends' },
-  nadir: { name: 'Deepest Night', description: 'Darkest part of the night' }
-};
+ * Node's event emitter, used to publish phase transitions to integrations.
+ */
+const EventEmitter = require('events');
+
+/**
+ * Solar timeline: phase metadata and the stitched, adjusted event calculations.
+ */
+const {
+  SUN_TIMES_META,
+  AGGREGATE_META,
+  POLAR_STATES,
+  registerAltitude,
+  isValidDate,
+  buildTimeline,
+  getAggregateState
+} = require('./timeline');
+
+/**
+ * Live sun position helpers (altitude/azimuth in degrees).
+ */
+const { getSunPosition, isWindowExposed } = require('./position');
+
+/**
+ * Moon phase, illumination and rise/set helpers.
+ */
+const { getMoonState } = require('./moon');
+
+/**
+ * Time zone aware formatting for the 'Event Time' characteristics.
+ */
+const { getZonedParts, zonedTimeToDate, createTimeFormatter } = require('./timezone');
+
+/**
+ * Real or simulated (time-travel) clock driving the scheduler.
+ */
+const { getSimulationSettings, createClock } = require('./clock');
+
+/**
+ * Instance config checks, reused by the config UI preview.
+ */
+const { validateInstanceConfig, normalizeInstanceConfig } = require('./validation');
+
+/**
+ * Offline place-name lookup, so the preview accepts the same locations as the platform.
+ */
+const { resolveLocation } = require('./gazetteer');
+
+/**
+ * Outgoing webhooks fired on phase transitions.
+ */
+const { WebhookDispatcher, getWebhookSettings } = require('./webhooks');
 
 /**
  * Configuration Presets: Defines which sensors are enabled based on the user's config mode.
+ * The 'custom' mode has no preset; its sensors come from the 'sensors' list in config.json.
  */
 const SENSOR_MODES = {
   basic: ['sunrise', 'sunset'],
@@ -38,6 +65,393 @@ const SENSOR_MODES = {
   full: Object.keys(SUN_TIMES_META)
 };
 
+/**
+ * Helper: Resolves the list of enabled suncalc keys for a mode.
+ * Custom lists are filtered to known keys, de-duplicated and returned in solar order,
+ * so reordering the list in config.json never counts as a change.
+ * @param {string} mode - The configured mode (basic, extended, full or custom).
+ * @param {string[]} [sensors] - The user's sensor list, used only by the custom mode.
+ * @returns {string[]} - Enabled suncalc keys.
+ */
+function getEnabledSensors(mode, sensors) {
+  if (mode === 'custom') {
+    const selected = new Set(Array.isArray(sensors) ? sensors : []);
+    return Object.keys(SUN_TIMES_META).filter(key => selected.has(key));
+  }
+  return SENSOR_MODES[mode] || SENSOR_MODES.full;
+}
+
+/**
+ * Helper: Turns a threshold name into a stable identifier used in service subtypes.
+ * @param {string} name - The user's threshold name (e.g. 'Blinds down').
+ * @returns {string} - A lowercase slug (e.g. 'blinds-down').
+ */
+function slugify(name) {
+  return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Helper: Collects the display metadata of every timeline event an instance publishes.
+ * @param {string[]} enabledSensors - Enabled suncalc keys.
+ * @param {Object[]} thresholdEvents - Results of getThresholdEvents().
+ * @returns {Object<string, {name: string, description: string}>} - Keyed by event key, in
+ * publishing order.
+ */
+function getEventMeta(enabledSensors, thresholdEvents) {
+  const eventMeta = {};
+  enabledSensors.forEach(key => {
+    eventMeta[key] = SUN_TIMES_META[key];
+  });
+  thresholdEvents.forEach(event => {
+    eventMeta[event.key] = { name: event.name, description: event.description };
+  });
+  return eventMeta;
+}
+
+/**
+ * Helper: Builds the timeline events for user-defined altitude thresholds.
+ * Every threshold produces a rising (morning) and a setting (evening) event.
+ * Invalid entries are logged and skipped.
+ * @param {Object[]} [thresholds] - The 'thresholds' list from config.json.
+ * @param {Function} logError - Logger used to report invalid entries.
+ * @returns {Object[]} - Event definitions ({ key, suncalcKey, angle, rising, name,
+ * description }).
+ */
+function getThresholdEvents(thresholds, logError) {
+  const events = [];
+  const seen = new Set();
+
+  for (const threshold of Array.isArray(thresholds) ? thresholds : []) {
+    const angle = Number(threshold?.angle);
+    const slug = typeof threshold?.name === 'string' ? slugify(threshold.name) : '';
+
+    if (!slug || !Number.isFinite(angle) || angle < -90 || angle > 90) {
+      logError(`Ignoring invalid threshold: ${JSON.stringify(threshold)}`);
+      continue;
+    }
+    if (seen.has(slug)) {
+      logError(`Ignoring duplicate threshold name: ${threshold.name}`);
+      continue;
+    }
+    seen.add(slug);
+
+    const names = registerAltitude(angle);
+    events.push(
+      {
+        key: `threshold:${slug}:rise`,
+        suncalcKey: names.rise,
+        angle,
+        rising: true,
+        name: `${threshold.name.trim()} Rising`,
+        description: `Sun rises above ${angle}°`
+      },
+      {
+        key: `threshold:${slug}:set`,
+        suncalcKey: names.set,
+        angle,
+        rising: false,
+        name: `${threshold.name.trim()} Setting`,
+        description: `Sun sets below ${angle}°`
+      }
+    );
+  }
+  return events;
+}
+
+/**
+ * Helper: Normalizes the user's offset block into a map of suncalc key to minutes.
+ * Unknown keys and non-numeric values are ignored so a typo never shifts the wrong event.
+ * @param {Object} [offsetConfig] - The 'offset' object from config.json.
+ * @returns {Object<string, number>} - Offsets in minutes, keyed by suncalc key.
+ */
+function getEventOffsets(offsetConfig) {
+  const offsets = {};
+  if (!offsetConfig || typeof offsetConfig !== 'object') {
+    return offsets;
+  }
+
+  for (const [key, value] of Object.entries(offsetConfig)) {
+    const minutes = Number(value);
+    if (SUN_TIMES_META[key] && value !== null && value !== '' && Number.isFinite(minutes)) {
+      offsets[key] = minutes;
+    }
+  }
+  return offsets;
+}
+
+/**
+ * HomeKit service types a sensor can be published as, with the characteristic that carries
+ * its on/off state. Contact sensors report "open" while active.
+ */
+const SERVICE_TYPES = {
+  occupancy: {
+    service: 'OccupancySensor',
+    characteristic: 'OccupancyDetected',
+    value: (C, active) => active ?
+      C.OccupancyDetected.OCCUPANCY_DETECTED :
+      C.OccupancyDetected.OCCUPANCY_NOT_DETECTED
+  },
+  contact: {
+    service: 'ContactSensor',
+    characteristic: 'ContactSensorState',
+    value: (C, active) => active ?
+      C.ContactSensorState.CONTACT_NOT_DETECTED :
+      C.ContactSensorState.CONTACT_DETECTED
+  },
+  motion: {
+    service: 'MotionSensor',
+    characteristic: 'MotionDetected',
+    value: (C, active) => active
+  },
+  switch: {
+    service: 'Switch',
+    characteristic: 'On',
+    value: (C, active) => active
+  }
+};
+
+/**
+ * Helper: Resolves the HomeKit service type of every sensor.
+ * The instance-wide 'serviceType' applies to all sensors unless 'serviceTypes' overrides it
+ * for a specific service key. Momentary triggers are always Motion Sensors and manual
+ * overrides are always Switches.
+ * Invalid values are logged and replaced by the default.
+ * @param {Object} config - The instance config ('serviceType' and 'serviceTypes').
+ * @param {string[]} serviceKeys - The service keys published by the instance.
+ * @param {Function} logError - Logger used to report invalid entries.
+ * @returns {Object<string, string>} - Service type name keyed by service key.
+ */
+function getServiceTypes(config, serviceKeys, logError) {
+  let defaultType = config.serviceType || 'occupancy';
+  if (!SERVICE_TYPES[defaultType]) {
+    logError(`Ignoring invalid service type: ${defaultType}`);
+    defaultType = 'occupancy';
+  }
+
+  const overrides = config.serviceTypes && typeof config.serviceTypes === 'object' ?
+    config.serviceTypes :
+    {};
+  const types = {};
+  serviceKeys.forEach(key => {
+    if (key.startsWith('pulse:')) {
+      types[key] = 'motion';
+      return;
+    }
+    if (key.startsWith('override:')) {
+      types[key] = 'switch';
+      return;
+    }
+
+    const type = overrides[key];
+    if (type !== undefined && !SERVICE_TYPES[type]) {
+      logError(`Ignoring invalid service type for ${key}: ${type}`);
+    }
+    types[key] = SERVICE_TYPES[type] ? type : defaultType;
+  });
+  return types;
+}
+
+/**
+ * Trigger styles: 'window' keeps an Occupancy Sensor detected until the next event,
+ * 'pulse' briefly triggers a Motion Sensor at the event time, 'both' publishes both.
+ */
+const TRIGGER_STYLES = ['window', 'pulse', 'both'];
+
+/**
+ * Helper: Resolves the trigger style of every event.
+ * The instance-wide 'trigger' applies to all events unless 'triggers' overrides it for a
+ * specific event key. Invalid values are logged and replaced by the default.
+ * @param {Object} config - The instance config ('trigger' and 'triggers').
+ * @param {string[]} eventKeys - The events published by the instance.
+ * @param {Function} logError - Logger used to report invalid entries.
+ * @returns {Object<string, string>} - Trigger style keyed by event key.
+ */
+function getTriggerStyles(config, eventKeys, logError) {
+  let defaultStyle = config.trigger || 'window';
+  if (!TRIGGER_STYLES.includes(defaultStyle)) {
+    logError(`Ignoring invalid trigger style: ${defaultStyle}`);
+    defaultStyle = 'window';
+  }
+
+  const overrides = config.triggers && typeof config.triggers === 'object' ? config.triggers : {};
+  const styles = {};
+  eventKeys.forEach(key => {
+    const style = overrides[key];
+    if (style !== undefined && !TRIGGER_STYLES.includes(style)) {
+      logError(`Ignoring invalid trigger style for ${key}: ${style}`);
+    }
+    styles[key] = TRIGGER_STYLES.includes(style) ? style : defaultStyle;
+  });
+  return styles;
+}
+
+/**
+ * Weekday names accepted in clamp rules, indexed like Date.prototype.getDay().
+ */
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Helper: Parses an 'HH:MM' clock time (24-hour).
+ * @param {*} value
+ * @returns {{hour: number, minute: number}|null} - null if missing or invalid.
+ */
+function parseClockTime(value) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(typeof value === 'string' ? value.trim() : '');
+  return match ? { hour: Number(match[1]), minute: Number(match[2]) } : null;
+}
+
+/**
+ * Helper: Normalizes the earliest/latest clock-time rules for events.
+ * Invalid rules are logged and skipped.
+ * @param {Object[]} [clamps] - The 'clamps' list from config.json.
+ * @param {string[]} eventKeys - Event keys that may be clamped.
+ * @param {Function} logError - Logger used to report invalid entries.
+ * @returns {Object[]} - Rules as { event, notBefore, notAfter, days }, where the bounds are
+ * { hour, minute } (or null) and days is a list of weekday numbers (or null for every day).
+ */
+function getEventClamps(clamps, eventKeys, logError) {
+  const rules = [];
+
+  for (const clamp of Array.isArray(clamps) ? clamps : []) {
+    const notBefore = parseClockTime(clamp?.notBefore);
+    const notAfter = parseClockTime(clamp?.notAfter);
+    const days = Array.isArray(clamp?.days) && clamp.days.length ?
+      clamp.days.map(day => WEEKDAYS.indexOf(String(day).toLowerCase().slice(0, 3))) :
+      null;
+
+    if (!eventKeys.includes(clamp?.event) ||
+      (clamp.notBefore && !notBefore) ||
+      (clamp.notAfter && !notAfter) ||
+      (!notBefore && !notAfter) ||
+      days?.includes(-1)) {
+      logError(`Ignoring invalid clamp: ${JSON.stringify(clamp)}`);
+      continue;
+    }
+
+    rules.push({ event: clamp.event, notBefore, notAfter, days });
+  }
+  return rules;
+}
+
+/**
+ * Helper: Normalizes the optional live sun position settings.
+ * @param {Object} [positionConfig] - The 'position' object from config.json.
+ * @returns {{enabled: boolean, interval: number, aboveAltitude: number}} - Interval is in
+ * seconds (minimum 10), aboveAltitude in degrees.
+ */
+function getPositionSettings(positionConfig) {
+  const interval = Number(positionConfig?.interval);
+  const aboveAltitude = Number(positionConfig?.aboveAltitude);
+
+  return {
+    enabled: positionConfig?.enabled === true,
+    interval: Number.isFinite(interval) && interval > 0 ? Math.max(10, interval) : 60,
+    aboveAltitude: Number.isFinite(aboveAltitude) ? aboveAltitude : 0
+  };
+}
+
+/**
+ * Helper: Normalizes the optional moon sensor settings.
+ * @param {Object} [moonConfig] - The 'moon' object from config.json.
+ * @returns {{enabled: boolean, fullMoonWindow: number}} - fullMoonWindow is in hours either
+ * side of the exact full moon.
+ */
+function getMoonSettings(moonConfig) {
+  const fullMoonWindow = Number(moonConfig?.fullMoonWindow);
+
+  return {
+    enabled: moonConfig?.enabled === true,
+    fullMoonWindow: Number.isFinite(fullMoonWindow) && fullMoonWindow >= 0 ? fullMoonWindow : 12
+  };
+}
+
+/**
+ * The watchdog checks the clock once per minute (real time). A tick that arrives much later or
+ * earlier than expected means the host slept or the system clock jumped.
+ */
+const WATCHDOG_INTERVAL = 60 * 1000;
+
+/**
+ * Longest delay setTimeout() accepts (about 24.8 days); Node fires longer ones immediately.
+ */
+const MAX_TIMER_DELAY = 2147483647;
+
+/**
+ * Manual overrides: each pins the phase sensors to a moment of today's solar cycle
+ * (a raw suncalc key), so the sensors show the phase that is active at that moment.
+ * On a polar day that moment is not night (or on a polar night, not day), so the override
+ * is refused then.
+ */
+const OVERRIDES = {
+  day: { name: 'Force Day', moment: 'solarNoon', refusedIn: 'polarNight' },
+  night: { name: 'Force Night', moment: 'nadir', refusedIn: 'midnightSun' }
+};
+
+/**
+ * Helper: Normalizes the optional manual override settings.
+ * @param {Object} [overridesConfig] - The 'overrides' object from config.json.
+ * @returns {{enabled: boolean, expiresAfter: number}} - expiresAfter is in minutes
+ * (0 keeps an override on until it is switched off).
+ */
+function getOverrideSettings(overridesConfig) {
+  const expiresAfter = Number(overridesConfig?.expiresAfter);
+
+  return {
+    enabled: overridesConfig?.enabled === true,
+    expiresAfter: Number.isFinite(expiresAfter) && expiresAfter > 0 ? expiresAfter : 0
+  };
+}
+
+/**
+ * Helper: Normalizes the window / façade exposure definitions.
+ * Invalid entries are logged and skipped.
+ * @param {Object[]} [windows] - The 'windows' list from config.json.
+ * @param {Function} logError - Logger used to report invalid entries.
+ * @returns {Object[]} - Window settings with their service key and defaults applied.
+ */
+function getWindowSettings(windows, logError) {
+  const settings = [];
+  const seen = new Set();
+  const numberOr = (value, fallback) => {
+    const number = Number(value);
+    return value !== undefined && value !== null && Number.isFinite(number) ? number : fallback;
+  };
+
+  for (const window of Array.isArray(windows) ? windows : []) {
+    const slug = typeof window?.name === 'string' ? slugify(window.name) : '';
+    const azimuthFrom = numberOr(window?.azimuthFrom, NaN);
+    const azimuthTo = numberOr(window?.azimuthTo, NaN);
+    const horizon = (Array.isArray(window?.horizon) ? window.horizon : [])
+      .map(point => ({
+        azimuth: numberOr(point?.azimuth, NaN),
+        altitude: numberOr(point?.altitude, NaN)
+      }))
+      .filter(point => Number.isFinite(point.azimuth) && Number.isFinite(point.altitude));
+
+    if (!slug || !Number.isFinite(azimuthFrom) || !Number.isFinite(azimuthTo)) {
+      logError(`Ignoring invalid window: ${JSON.stringify(window)}`);
+      continue;
+    }
+    if (seen.has(slug)) {
+      logError(`Ignoring duplicate window name: ${window.name}`);
+      continue;
+    }
+    seen.add(slug);
+
+    settings.push({
+      key: `window:${slug}`,
+      name: window.name.trim(),
+      azimuthFrom: ((azimuthFrom % 360) + 360) % 360,
+      azimuthTo: ((azimuthTo % 360) + 360) % 360,
+      minAltitude: numberOr(window.minAltitude, 0),
+      maxAltitude: numberOr(window.maxAltitude, 90),
+      horizon,
+      hysteresis: Math.max(0, numberOr(window.hysteresis, 1))
+    });
+  }
+  return settings;
+}
+
 /**
  * Helper: Extracts the suncalc key (e.g., 'sunrise') from a HomeKit service subtype.
  * @param {string} accessoryUUID - The unique ID of the accessory.
@@ -58,12 +472,134 @@ function getServiceKeyFromSubtype(accessoryUUID, subtype) {
   return SUN_TIMES_META[key] ? key : null;
 }
 
+/**
+ * Previews an instance's timeline for one day without creating any accessory (used by the
+ * custom config UI). The settings go through the same helpers and timeline as
+ * SuncalcAccessory, so the preview matches what the sensors will do.
+ * @param {Object} instanceConfig - The instance config (as edited, possibly invalid).
+ * @param {Date} date - A moment of the day to preview.
+ * @returns {Object} - { errors, warnings, place, timeZone, polarState, active, events }, where
+ * errors make the instance fail validation, place is the resolved place-name location (if
+ * any) and events hold today's adjusted times.
+ */
+function previewTimeline(instanceConfig, date) {
+  const { place, alternatives, ...resolved } = resolveLocation(instanceConfig);
+  const config = normalizeInstanceConfig(resolved.config);
+  const errors = validateInstanceConfig(config, [...Object.keys(SENSOR_MODES), 'custom']);
+  const warnings = [];
+  if (errors.length) {
+    return {
+      errors, warnings, place: null, timeZone: null, polarState: null, active: null, events: []
+    };
+  }
+  if (alternatives.length) {
+    warnings.push(
+      `Using ${place.name}; the location also matches ${alternatives.join('; ')} ` +
+      '(add a region or country to pick another)'
+    );
+  }
+
+  const logWarning = msg => warnings.push(msg);
+  const thresholdEvents = getThresholdEvents(config.thresholds, logWarning);
+  const eventMeta = getEventMeta(
+    getEnabledSensors(config.mode || 'full', config.sensors),
+    thresholdEvents
+  );
+  const eventKeys = Object.keys(eventMeta);
+
+  let timeFormatter;
+  try {
+    timeFormatter = createTimeFormatter({
+      timeZone: config.timeZone,
+      locale: config.locale,
+      hourCycle: config.hourCycle
+    });
+  } catch (err) {
+    warnings.push(`Invalid time format settings (${err.message}), using the host's`);
+    timeFormatter = createTimeFormatter();
+  }
+
+  const timeline = buildTimeline(date, {
+    lat: config.location.lat,
+    lon: config.location.lon,
+    eventKeys,
+    offsets: getEventOffsets(config.offset),
+    thresholdEvents,
+    clamps: getEventClamps(config.clamps, eventKeys, logWarning),
+    timeZone: timeFormatter.timeZone
+  });
+  const clampedKeys = new Set(timeline.clamps.map(clamp => clamp.key));
+
+  if (timeline.polarState !== 'normal') {
+    warnings.push(
+      `${POLAR_STATES[timeline.polarState]} on this day: ` +
+      `the ${timeline.polarState === 'midnightSun' ? 'sun never sets' : 'sun never rises'}, ` +
+      'so the active period follows the sun\'s altitude'
+    );
+  }
+  const missing = eventKeys.filter(key => !isValidDate(timeline.today[key]));
+  if (missing.length) {
+    warnings.push(
+      `Does not happen on this day: ${missing.map(key => eventMeta[key].name).join(', ')}`
+    );
+  }
+
+  // Offsets and clamps may move an event past its neighbour, which swaps their periods
+  const raw = timeline.rawDays[1];
+  const suncalcKeys = Object.fromEntries(
+    thresholdEvents.map(event => [event.key, event.suncalcKey])
+  );
+  const rawTime = key => raw[suncalcKeys[key] || key];
+  const naturalOrder = eventKeys
+    .filter(key => isValidDate(timeline.today[key]) && isValidDate(rawTime(key)))
+    .sort((a, b) => rawTime(a) - rawTime(b));
+  naturalOrder.slice(1).forEach((key, index) => {
+    const previous = naturalOrder[index];
+    if (timeline.today[key] <= timeline.today[previous]) {
+      warnings.push(
+        `Offsets or clamps move ${eventMeta[previous].name} ` +
+        `(${timeFormatter.format(timeline.today[previous])}) to or after ` +
+        `${eventMeta[key].name} (${timeFormatter.format(timeline.today[key])}), ` +
+        'so their periods overlap or swap'
+      );
+    }
+  });
+
+  return {
+    errors,
+    warnings,
+    place,
+    timeZone: timeFormatter.timeZone || new Intl.DateTimeFormat().resolvedOptions().timeZone,
+    polarState: timeline.polarState,
+    active: timeline.active ?
+      { key: timeline.active[0], name: eventMeta[timeline.active[0]].name } :
+      null,
+    events: eventKeys.map(key => ({
+      key,
+      name: eventMeta[key].name,
+      description: eventMeta[key].description,
+      time: isValidDate(timeline.today[key]) ? timeFormatter.format(timeline.today[key]) : null,
+      iso: isValidDate(timeline.today[key]) ? timeFormatter.formatIso(timeline.today[key]) : null,
+      clamped: clampedKeys.has(key)
+    }))
+  };
+}
+
 /**
  * Main Accessory Class for Homebridge Suncalc.
- * Creates and manages multiple Occupancy Sensors representing solar events.
+ * Creates and manages multiple sensors (Occupancy by default) representing solar events.
  */
 class SuncalcAccessory {
-  constructor(log, config, api, accessory) {
+  /**
+   * @param {Object} log - Homebridge logger.
+   * @param {Object} config - The instance config.
+   * @param {Object} api - Homebridge API.
+   * @param {PlatformAccessory} accessory - The instance's accessory.
+   * @param {Object} [options] - { getPhaseAccessory(key, name), history }, provided by the
+   * platform to publish each phase as its own accessory (split layout) and to record the
+   * instance's events in the history store.
+   */
+  constructor(log, config, api, accessory, options = {}) {
     this.log = log;
     this.api = api;
     this.accessory = accessory;
@@ -74,51 +610,258 @@ class SuncalcAccessory {
 
     // Configuration retrieval
     this.platformName = config.name || 'Suncalc';
+    this.instanceId = config.id;
     this.location = config.location; // Expects { lat: number, lon: number }
 
     // Mode selection: Determine which sensors should be active
     this.mode = config.mode || 'full';
-    this.enabledSensors = SENSOR_MODES[this.mode] || SENSOR_MODES.full;
+    this.enabledSensors = getEnabledSensors(this.mode, config.sensors);
+
+    // User-defined altitude thresholds are published alongside the enabled solar phases
+    this.thresholdEvents = getThresholdEvents(
+      config.thresholds,
+      msg => this.log.error(`[${this.platformName}] ${msg}`)
+    );
+
+    // Every timeline event this instance publishes, with its display metadata
+    this.eventMeta = getEventMeta(this.enabledSensors, this.thresholdEvents);
+    this.eventKeys = Object.keys(this.eventMeta);
+
+    // Optional live sun position sensor (altitude/azimuth, refreshed on an interval)
+    this.position = getPositionSettings(config.position);
+
+    // Optional window / façade sensors, driven by the same live sun position
+    this.windows = getWindowSettings(
+      config.windows,
+      msg => this.log.error(`[${this.platformName}] ${msg}`)
+    );
+
+    // Windowed (Occupancy) and/or momentary (Motion) triggers for each event
+    this.triggerStyles = getTriggerStyles(
+      config,
+      this.eventKeys,
+      msg => this.log.error(`[${this.platformName}] ${msg}`)
+    );
+    const pulseLength = Number(config.pulseLength);
+    this.pulseLength = Number.isFinite(pulseLength) && pulseLength > 0 ? pulseLength : 5;
+
+    // Every service key this instance publishes (timeline events plus optional extras)
+    this.serviceKeys = [];
+    this.eventKeys.forEach(key => {
+      if (this.triggerStyles[key] !== 'pulse') {
+        this.serviceKeys.push(key);
+      }
+      if (this.triggerStyles[key] !== 'window') {
+        this.serviceKeys.push(`pulse:${key}`);
+      }
+    });
+    if (this.position.enabled) {
+      this.serviceKeys.push('position');
+    }
+    this.windows.forEach(window => this.serviceKeys.push(window.key));
+
+    // Optional aggregate sensors (Daylight, Civil/Nautical/Astronomical Dark).
+    // The split layout always keeps Daylight, so the instance's own accessory is never left
+    // without a sensor (the Home app shows such an accessory as 'Not Supported').
+    const split = config.layout === 'split' && !!options.getPhaseAccessory;
+    const selectedAggregates = new Set(Array.isArray(config.aggregates) ? config.aggregates : []);
+    if (split) {
+      selectedAggregates.add('daylight');
+    }
+    this.aggregateKeys = Object.keys(AGGREGATE_META).filter(key => selectedAggregates.has(key));
+    this.aggregateKeys.forEach(key => this.serviceKeys.push(`aggregate:${key}`));
+
+    // Optional moon sensors (Moon Up with phase/illumination, and Full Moon)
+    this.moon = getMoonSettings(config.moon);
+    if (this.moon.enabled) {
+      this.serviceKeys.push('moon', 'fullMoon');
+    }
 
-    // Change Detection: Check if the user changed the mode since the last restart
+    // Optional 'Force Day' / 'Force Night' switches pinning the phase sensors
+    this.overrides = getOverrideSettings(config.overrides);
+    if (this.overrides.enabled) {
+      Object.keys(OVERRIDES).forEach(mode => this.serviceKeys.push(`override:${mode}`));
+    }
+
+    // Change Detection: Check if the user changed the mode or the custom sensor list
+    // since the last restart
     const previousMode = accessory.context?.mode;
     const modeChanged = !!previousMode && previousMode !== this.mode;
 
+    const previousSensors = accessory.context?.sensors;
+    const sensorsChanged = Array.isArray(previousSensors) &&
+      previousSensors.join(',') !== this.serviceKeys.join(',');
+
+    // HomeKit service type of every sensor (Occupancy, Contact, Motion or Switch)
+    this.serviceTypes = getServiceTypes(
+      config,
+      this.serviceKeys,
+      msg => this.log.error(`[${this.platformName}] ${msg}`)
+    );
+    const previousTypes = accessory.context?.serviceTypes || {};
+    const typesChanged = this.serviceKeys.some(key =>
+      previousTypes[key] && previousTypes[key] !== this.serviceTypes[key]
+    );
+
+    // Layout: all sensors on this accessory ('grouped'), or one accessory per phase ('split')
+    this.layout = split ? 'split' : 'grouped';
+    this.phaseAccessories = {};
+    if (this.layout === 'split') {
+      this.eventKeys.forEach(key => {
+        this.phaseAccessories[key] = options.getPhaseAccessory(
+          key,
+          `${this.platformName} ${this.eventMeta[key].name}`
+        );
+      });
+    }
+    const previousLayout = accessory.context?.layout || (previousMode ? 'grouped' : this.layout);
+    const layoutChanged = previousLayout !== this.layout;
+
     this.log.debug(
       `[${this.platformName}] DEBUG: previousMode='${previousMode}', ` +
-      `currentMode='${this.mode}', modeChanged=${modeChanged}`
+      `currentMode='${this.mode}', modeChanged=${modeChanged}, ` +
+      `sensorsChanged=${sensorsChanged}, typesChanged=${typesChanged}, ` +
+      `layoutChanged=${layoutChanged}`
     );
 
     // Update persistent context
     accessory.context.mode = this.mode;
+    accessory.context.layout = this.layout;
+    accessory.context.sensors = [...this.serviceKeys];
+    accessory.context.serviceTypes = { ...this.serviceTypes };
+
+    // Time zone, locale and hour cycle used to display event times
+    // (defaults to the Homebridge host's settings)
+    try {
+      this.timeFormatter = createTimeFormatter({
+        timeZone: config.timeZone,
+        locale: config.locale,
+        hourCycle: config.hourCycle
+      });
+    } catch (err) {
+      this.log.error(
+        `[${this.platformName}] Invalid time format settings (${err.message}), ` +
+        'using the host time zone and locale'
+      );
+      this.timeFormatter = createTimeFormatter();
+    }
+    this.isoTime = config.isoTime === true;
+
+    // Optional simulation: a virtual clock with its own start and speed, for testing
+    // automations across a day, a DST change or a polar season in fast motion
+    this.clock = createClock(getSimulationSettings(
+      config.simulation,
+      this.timeFormatter.timeZone,
+      msg => this.log.error(`[${this.platformName}] ${msg}`)
+    ));
+    // Watchdog: recalculate when the wall clock drifts more than this from the timers (seconds)
+    const driftThreshold = Number(config.driftThreshold);
+    this.driftThreshold = Number.isFinite(driftThreshold) && driftThreshold >= 5 ?
+      driftThreshold :
+      60;
 
-    // Optional offsets (in minutes) to shift specific solar events
-    // (useful for lighting automations)
-    this.sunriseEndOffset = config.offset?.sunriseEnd || 0;
-    this.sunsetStartOffset = config.offset?.sunsetStart || 0;
+    if (this.clock.simulated) {
+      this.log.info(
+        `[${this.platformName}] SIMULATION: virtual clock starts at ` +
+        `${this.timeFormatter.formatIso(this.clock.now())} and runs ${this.clock.speed}× ` +
+        'faster than real time'
+      );
+    }
+
+    // Optional offsets (in minutes) to shift any solar event
+    // (useful for lighting automations, e.g. { dusk: -15 })
+    this.offsets = getEventOffsets(config.offset);
+
+    // Optional earliest/latest clock times per event, evaluated in the configured time zone
+    // (e.g. sunset, but never before 17:00)
+    this.clamps = getEventClamps(
+      config.clamps,
+      this.eventKeys,
+      msg => this.log.error(`[${this.platformName}] ${msg}`)
+    );
+    this.loggedClamps = new Set();
+
+    // Integrations (webhooks, MQTT, history) listen for 'transition' (the active phase
+    // changed), 'override' (an override started or ended) and 'update' (the scheduler
+    // recalculated) events
+    this.events = new EventEmitter();
+    const webhooks = getWebhookSettings(
+      config.webhooks,
+      msg => this.log.error(`[${this.platformName}] ${msg}`)
+    );
+    if (webhooks.length) {
+      this.webhooks = new WebhookDispatcher(this.log, this.platformName, webhooks);
+      this.events.on('transition', transition => this.webhooks.send(transition));
+    }
+    if (options.history) {
+      options.history.attach(this);
+    }
 
     // Storage for internal service/characteristic references
     this.sensors = {};
+    this.pulseSensors = {};
+    this.sensorStates = {};
 
     this.log.info(
       `[${this.platformName}] Mode: ${this.mode} | ` +
-      `Sensors: ${this.enabledSensors.join(', ')}`
+      `Sensors: ${this.serviceKeys.join(', ') || 'none'}`
     );
 
     this.setupAccessoryInfo();
 
-    // If the mode changed, we must remove old sensors that are no longer in the active preset
+    // If the mode or sensor list changed, we must remove old sensors that are no longer enabled
     if (modeChanged) {
       this.log.info(
         `[${this.platformName}] Mode changed from ` +
         `'${previousMode}' to '${this.mode}'`
       );
-      this.pruneServicesIfNeeded();
+    } else if (sensorsChanged) {
+      this.log.info(
+        `[${this.platformName}] Sensor list changed from ` +
+        `'${previousSensors.join(', ')}' to '${this.serviceKeys.join(', ')}'`
+      );
+    }
+    if (typesChanged) {
+      this.log.info(`[${this.platformName}] Service types changed → migrating sensors`);
+    }
+    if (layoutChanged) {
+      this.log.info(
+        `[${this.platformName}] Layout changed from '${previousLayout}' to '${this.layout}'`
+      );
     }
+    // Always compared against the cache: accessories cached by older versions have no
+    // record of their sensors or types, so a change cannot be detected from the context
+    this.pruneServicesIfNeeded();
 
     // Initialize/Restore sensors and start the calculation loop
     this.setupServices();
-    this.updateSunTimes();
+    this.setupAggregateServices();
+    if (this.moon.enabled) {
+      this.setupMoonServices();
+    }
+    this.polarState = null;
+    this.activeKey = undefined; // Unknown until the first update
+    this.override = null;
+    this.phaseForced = false; // Whether the active phase was pinned by an override
+    if (this.overrides.enabled) {
+      this.restoreOverride();
+      this.setupOverrideServices();
+    } else if (accessory.context.override) {
+      delete accessory.context.override;
+    }
+    this.restoreState();
+    this.updateSunTimes(undefined, 'startup');
+    this.startWatchdog();
+
+    if (this.position.enabled || this.windows.length) {
+      this.setupPositionServices();
+      this.updatePosition();
+      // A simulated clock samples the same simulated interval (at least once per real second)
+      this.positionTimer = setInterval(
+        () => this.updatePosition(),
+        Math.max(1000, this.clock.toRealDelay(this.position.interval * 1000))
+      );
+    }
   }
 
   /**
@@ -127,194 +870,1011 @@ class SuncalcAccessory {
   setupAccessoryInfo() {
     const manufacturer = 'Homebridge Suncalc';
     const model = 'Solar Times Sensor';
-    const serialNumber = this.accessory.UUID;
 
-    const informationService = this.accessory.getService(this.Service.AccessoryInformation);
-    if (informationService) {
-      informationService
-        .setCharacteristic(this.Characteristic.Manufacturer, manufacturer)
-        .setCharacteristic(this.Characteristic.Model, model)
-        .setCharacteristic(this.Characteristic.SerialNumber, serialNumber);
+    this.getAccessories().forEach(accessory => {
+      const informationService = accessory.getService(this.Service.AccessoryInformation);
+      if (informationService) {
+        informationService
+          .setCharacteristic(this.Characteristic.Manufacturer, manufacturer)
+          .setCharacteristic(this.Characteristic.Model, model)
+          .setCharacteristic(this.Characteristic.SerialNumber, accessory.UUID);
+      }
+    });
+  }
+
+  /**
+   * Helper: Lists every accessory this instance publishes (its own, plus one per phase in the
+   * split layout).
+   * @returns {PlatformAccessory[]}
+   */
+  getAccessories() {
+    return [this.accessory, ...Object.values(this.phaseAccessories)];
+  }
+
+  /**
+   * Helper: Returns the accessory that holds a sensor's service.
+   * In the split layout, a phase's windowed and pulse sensors live on the phase's accessory;
+   * everything else stays on the instance's accessory.
+   * @param {string} key - The service key.
+   * @returns {PlatformAccessory}
+   */
+  getAccessoryFor(key) {
+    const eventKey = key.startsWith('pulse:') ? key.slice('pulse:'.length) : key;
+    return this.phaseAccessories[eventKey] || this.accessory;
+  }
+
+  /**
+   * Helper: Reuses a cached service (matched by type and subtype) or creates a new one,
+   * then syncs its name and the user-editable ConfiguredName.
+   * @param {Function|string} type - The HAP service type.
+   * @param {string} name - The display name for the service.
+   * @param {string} serviceSubtype - Unique, deterministic subtype for this service.
+   * @param {PlatformAccessory} [accessory] - The accessory that holds the service.
+   * @returns {Service}
+   */
+  prepareService(type, name, serviceSubtype, accessory = this.accessory) {
+    // Reuse existing service from cache or create a new one
+    let service = accessory.getServiceById(type, serviceSubtype);
+
+    if (!service) {
+      service = accessory.addService(type, name, serviceSubtype);
+    }
+
+    // Sync naming
+    service.getCharacteristic(this.Characteristic.Name).updateValue(name);
+
+    // Support for user-defined names in the Home App
+    if (!service.testCharacteristic(this.Characteristic.ConfiguredName)) {
+      service.addOptionalCharacteristic(this.Characteristic.ConfiguredName);
     }
+    service.setCharacteristic(this.Characteristic.ConfiguredName, name);
+
+    return service;
+  }
+
+  /**
+   * Helper: Reuses or creates a custom (non-Apple) read-only characteristic on a service.
+   * The UUID is derived from the service subtype so it stays stable across restarts.
+   * @param {Service} service - The service that owns the characteristic.
+   * @param {string} serviceSubtype - The owning service's subtype.
+   * @param {string} suffix - Short identifier for this characteristic (e.g. 'time').
+   * @param {string} displayName - Name shown in apps that display custom characteristics.
+   * @param {Object} props - HAP props (format, unit, min/max...); read/notify perms are added.
+   * @returns {Characteristic}
+   */
+  prepareCustomCharacteristic(service, serviceSubtype, suffix, displayName, props) {
+    const charUuid = this.api.hap.uuid.generate(`${serviceSubtype}:${suffix}`);
+    let characteristic = service.characteristics.find(c => c.UUID === charUuid);
+
+    if (!characteristic) {
+      characteristic = service.addCharacteristic(new this.Characteristic(displayName, charUuid));
+      characteristic.setProps({
+        ...props,
+        perms: [this.api.hap.Perms.PAIRED_READ, this.api.hap.Perms.NOTIFY]
+      });
+    }
+    return characteristic;
   }
 
   /**
-   * Creates or restores Occupancy Sensor services for each enabled solar event.
+   * Creates or restores Occupancy Sensor services for each enabled solar event and threshold.
    */
   setupServices() {
-    this.enabledSensors.forEach(key => {
-      const meta = SUN_TIMES_META[key];
+    this.eventKeys.forEach(key => {
+      const meta = this.eventMeta[key];
       const sensorName = `${this.platformName} ${meta.name}`;
+      const style = this.triggerStyles[key];
 
-      // Generate a unique, deterministic subtype to identify this specific sensor
-      const serviceSubtype = `${this.accessory.UUID}:${key}`;
+      if (style !== 'pulse') {
+        // Generate a unique, deterministic subtype to identify this specific sensor
+        const serviceSubtype = `${this.accessory.UUID}:${key}`;
+        const service = this.prepareSensorService(key, sensorName);
 
-      // Reuse existing service from cache or create a new one
-      let service = this.accessory.getServiceById(this.Service.OccupancySensor, serviceSubtype);
+        // Save references for periodic updates
+        this.sensors[key] = {
+          service,
+          ...this.prepareEventTimeCharacteristics(service, serviceSubtype)
+        };
+      }
 
-      if (!service) {
-        service = this.accessory.addService(
-          this.Service.OccupancySensor,
-          sensorName,
-          serviceSubtype
+      if (style !== 'window') {
+        // Momentary trigger: a Motion Sensor that only detects motion at the event time
+        const serviceSubtype = `${this.accessory.UUID}:pulse:${key}`;
+        const service = this.prepareSensorService(`pulse:${key}`, `${sensorName} Trigger`);
+        this.setSensorState(`pulse:${key}`, service, false);
+
+        this.pulseSensors[key] = {
+          service,
+          ...this.prepareEventTimeCharacteristics(service, serviceSubtype),
+          timer: null
+        };
+      }
+    });
+
+    this.log.debug(
+      `[${this.platformName}] DEBUG setupServices: ` +
+      `Total accessory services: ${this.accessory.services.length}`
+    );
+  }
+
+  /**
+   * Helper: Reuses or creates the service of a binary sensor, using its configured type.
+   * Switches cannot be controlled from the Home app: writes are reverted to the computed state.
+   * @param {string} key - The service key (e.g. 'sunset' or 'aggregate:daylight').
+   * @param {string} name - The display name for the service.
+   * @returns {Service}
+   */
+  prepareSensorService(key, name) {
+    const type = SERVICE_TYPES[this.serviceTypes[key]];
+    const service = this.prepareService(
+      this.Service[type.service],
+      name,
+      `${this.accessory.UUID}:${key}`,
+      this.getAccessoryFor(key)
+    );
+
+    if (this.serviceTypes[key] === 'switch') {
+      service.getCharacteristic(this.Characteristic.On).onSet(() => {
+        setImmediate(() =>
+          this.setSensorState(key, service, this.sensorStates[key] === true, true)
         );
+      });
+    }
+    return service;
+  }
+
+  /**
+   * Helper: Publishes a binary sensor's state using the characteristic of its service type.
+   * Unchanged states are not published again.
+   * @param {string} key - The service key.
+   * @param {Service} service - The sensor's service.
+   * @param {boolean} active - Whether the sensor is active (occupied, open, motion, on).
+   * @param {boolean} [force] - Publish even if the state did not change.
+   */
+  setSensorState(key, service, active, force = false) {
+    if (this.sensorStates[key] === active && !force) {
+      return;
+    }
+
+    const type = SERVICE_TYPES[this.serviceTypes[key]];
+    this.sensorStates[key] = active;
+    service.updateCharacteristic(
+      this.Characteristic[type.characteristic],
+      type.value(this.Characteristic, active)
+    );
+  }
+
+  /**
+   * Helper: Prepares the 'Event Time' characteristics of an event's service.
+   * @param {Service} service - The event's Occupancy or Motion Sensor.
+   * @param {string} serviceSubtype - The service's subtype.
+   * @returns {{timeChar: Characteristic, isoChar: Characteristic|null}}
+   */
+  prepareEventTimeCharacteristics(service, serviceSubtype) {
+    /**
+     * Custom Characteristic: 'Event Time'
+     * Displays the calculated event time (e.g., '6:45 AM') as a string in the Home App.
+     */
+    const timeChar = this.prepareCustomCharacteristic(
+      service,
+      serviceSubtype,
+      'time',
+      'Event Time',
+      { format: this.api.hap.Formats.STRING }
+    );
+
+    /**
+     * Custom Characteristic: 'Event Time ISO'
+     * Optional ISO-8601 variant (e.g., '2024-03-20T18:14:21-06:00') for machine consumption.
+     */
+    let isoChar = null;
+    if (this.isoTime) {
+      isoChar = this.prepareCustomCharacteristic(
+        service,
+        serviceSubtype,
+        'iso',
+        'Event Time ISO',
+        { format: this.api.hap.Formats.STRING }
+      );
+    } else {
+      const isoUuid = this.api.hap.uuid.generate(`${serviceSubtype}:iso`);
+      const staleIsoChar = service.characteristics.find(c => c.UUID === isoUuid);
+      if (staleIsoChar) {
+        service.removeCharacteristic(staleIsoChar);
       }
+    }
 
-      // Sync naming
-      service.getCharacteristic(this.Characteristic.Name).updateValue(sensorName);
+    return { timeChar, isoChar };
+  }
+
+  /**
+   * Creates or restores the sensors driven by the live sun position.
+   * The position sensor detects occupancy while the sun is above the configured altitude and
+   * publishes the current altitude/azimuth; each window sensor detects occupancy while direct
+   * sun can reach that window.
+   */
+  setupPositionServices() {
+    this.windowSensors = this.windows.map(window => {
+      const sensorName = `${this.platformName} ${window.name} Sun`;
+      const service = this.prepareSensorService(window.key, sensorName);
+
+      return { window, service, exposed: false };
+    });
+
+    if (!this.position.enabled) {
+      return;
+    }
 
-      // Support for user-defined names in the Home App
-      if (!service.testCharacteristic(this.Characteristic.ConfiguredName)) {
-        service.addOptionalCharacteristic(this.Characteristic.ConfiguredName);
+    const sensorName = `${this.platformName} Sun Above ${this.position.aboveAltitude}°`;
+    const serviceSubtype = `${this.accessory.UUID}:position`;
+    const service = this.prepareSensorService('position', sensorName);
+
+    const altitudeChar = this.prepareCustomCharacteristic(
+      service,
+      serviceSubtype,
+      'altitude',
+      'Sun Altitude',
+      {
+        format: this.api.hap.Formats.FLOAT,
+        unit: this.api.hap.Units.ARC_DEGREE,
+        minValue: -90,
+        maxValue: 90,
+        minStep: 0.1
+      }
+    );
+    const azimuthChar = this.prepareCustomCharacteristic(
+      service,
+      serviceSubtype,
+      'azimuth',
+      'Sun Azimuth',
+      {
+        format: this.api.hap.Formats.FLOAT,
+        unit: this.api.hap.Units.ARC_DEGREE,
+        minValue: 0,
+        maxValue: 360,
+        minStep: 0.1
       }
-      service.setCharacteristic(this.Characteristic.ConfiguredName, sensorName);
+    );
+
+    this.positionSensor = { service, altitudeChar, azimuthChar, isAbove: null };
+  }
+
+  /**
+   * Creates or restores the aggregate sensors (e.g. Daylight) selected in config.json.
+   */
+  setupAggregateServices() {
+    this.aggregateSensors = {};
+
+    this.aggregateKeys.forEach(key => {
+      const sensorName = `${this.platformName} ${AGGREGATE_META[key].name}`;
+      const serviceSubtype = `${this.accessory.UUID}:aggregate:${key}`;
+      const service = this.prepareSensorService(`aggregate:${key}`, sensorName);
 
       /**
-       * Custom Characteristic: 'Event Time'
-       * Displays the calculated event time (e.g., '6:45 AM') as a string in the Home App.
+       * Custom Characteristic: 'Polar State'
+       * Shows whether today is a normal day, midnight sun or polar night.
        */
-      const charUuid = this.api.hap.uuid.generate(`${serviceSubtype}:time`);
-      let timeChar = service.characteristics.find(c => c.UUID === charUuid);
-
-      if (!timeChar) {
-        timeChar = service.addCharacteristic(new this.Characteristic('Event Time', charUuid));
-        timeChar.setProps({
-          format: this.api.hap.Formats.STRING,
-          perms: [this.api.hap.Perms.PAIRED_READ, this.api.hap.Perms.NOTIFY]
-        });
-      }
+      const polarChar = this.prepareCustomCharacteristic(
+        service,
+        serviceSubtype,
+        'polar',
+        'Polar State',
+        { format: this.api.hap.Formats.STRING }
+      );
 
-      // Save references for periodic updates
-      this.sensors[key] = { service, timeChar };
+      this.aggregateSensors[key] = { service, polarChar, active: null };
     });
+  }
 
-    this.log.debug(
-      `[${this.platformName}] DEBUG setupServices: ` +
-      `Total accessory services: ${this.accessory.services.length}`
+  /**
+   * Creates or restores the moon sensors.
+   * 'Moon Up' detects occupancy between moonrise and moonset and publishes the phase name and
+   * illuminated percentage; 'Full Moon' detects occupancy within the configured window.
+   */
+  setupMoonServices() {
+    const moonName = `${this.platformName} Moon Up`;
+    const moonSubtype = `${this.accessory.UUID}:moon`;
+    const moonService = this.prepareSensorService('moon', moonName);
+
+    const phaseChar = this.prepareCustomCharacteristic(
+      moonService,
+      moonSubtype,
+      'phase',
+      'Moon Phase',
+      { format: this.api.hap.Formats.STRING }
     );
+    const illuminationChar = this.prepareCustomCharacteristic(
+      moonService,
+      moonSubtype,
+      'illumination',
+      'Moon Illumination',
+      {
+        format: this.api.hap.Formats.UINT8,
+        unit: this.api.hap.Units.PERCENTAGE,
+        minValue: 0,
+        maxValue: 100,
+        minStep: 1
+      }
+    );
+
+    const fullMoonService = this.prepareSensorService('fullMoon', `${this.platformName} Full Moon`);
+
+    this.moonSensors = { moonService, phaseChar, illuminationChar, fullMoonService };
   }
 
   /**
-   * Compares currently registered services against the active mode and removes unused ones.
+   * Creates or restores the 'Force Day' and 'Force Night' switches.
+   * Turning one on pins the phase sensors until it is turned off (or expires); the two are
+   * mutually exclusive.
    */
-  pruneServicesIfNeeded() {
-    this.log.info(`[${this.platformName}] Mode changed → pruning unused sensors`);
+  setupOverrideServices() {
+    this.overrideSwitches = {};
 
-    const allowedSubtypes = new Set(
-      this.enabledSensors.map(key => `${this.accessory.UUID}:${key}`)
+    Object.entries(OVERRIDES).forEach(([mode, override]) => {
+      const service = this.prepareService(
+        this.Service.Switch,
+        `${this.platformName} ${override.name}`,
+        `${this.accessory.UUID}:override:${mode}`
+      );
+      service.getCharacteristic(this.Characteristic.On).onSet(value => {
+        if (value) {
+          if (!this.setOverride(mode)) {
+            // Turn the switch back off once HomeKit has stored the refused value
+            setImmediate(() => this.updateOverrideSwitches());
+          }
+        } else if (this.override?.mode === mode) {
+          this.setOverride(null);
+        }
+      });
+      this.overrideSwitches[mode] = service;
+    });
+    this.updateOverrideSwitches();
+  }
+
+  /**
+   * Helper: Restores an override saved in the accessory context, unless it already expired.
+   */
+  restoreOverride() {
+    const saved = this.accessory.context.override;
+    if (!saved || !OVERRIDES[saved.mode]) {
+      return;
+    }
+
+    const until = saved.until ? new Date(saved.until) : null;
+    if (until && !(until > this.clock.now())) {
+      this.log.info(`[${this.platformName}] Override '${OVERRIDES[saved.mode].name}' expired`);
+      delete this.accessory.context.override;
+      return;
+    }
+    this.override = { mode: saved.mode, until };
+    this.log.info(
+      `[${this.platformName}] Restored override '${OVERRIDES[saved.mode].name}'` +
+      `${until ? ` (until ${this.timeFormatter.format(until)})` : ''}`
     );
+  }
 
-    // Resolve UUID for comparison (handles variations in HAP-NodeJS versions)
-    const occupancySensorUUID = this.Service.OccupancySensor.UUID || this.Service.OccupancySensor;
+  /**
+   * Turns a manual override on or off, persists it and re-evaluates the sensors.
+   * @param {string|null} mode - 'day', 'night', or null to follow the sky again.
+   * @param {Date} [dateOverride] - Apply at this moment instead of now (used by tests).
+   * @returns {boolean} - false if the override was refused (see OVERRIDES).
+   */
+  setOverride(mode, dateOverride) {
+    const now = dateOverride || this.clock.now();
 
-    const servicesToRemove = this.accessory.services.filter(service => {
-      // Ignore non-occupancy sensors (like Accessory Information)
-      if (service.UUID !== occupancySensorUUID) {
-        return false;
-      }
+    const polarState = mode ? this.computeTimeline(now).polarState : null;
+    if (mode && polarState === OVERRIDES[mode].refusedIn) {
+      this.log.error(
+        `[${this.platformName}] Override '${OVERRIDES[mode].name}' refused: ` +
+        `the sun ${polarState === 'midnightSun' ? 'never sets' : 'never rises'} today ` +
+        `(${POLAR_STATES[polarState]})`
+      );
+      return false;
+    }
+
+    if (mode) {
+      const until = this.overrides.expiresAfter ?
+        new Date(now.getTime() + this.overrides.expiresAfter * 60000) :
+        null;
+      this.override = { mode, until };
+      this.accessory.context.override = { mode, until: until ? until.toISOString() : null };
+      this.log.info(
+        `[${this.platformName}] Override '${OVERRIDES[mode].name}' ON` +
+        `${until ? ` (until ${this.timeFormatter.format(until)})` : ''}`
+      );
+    } else {
+      this.override = null;
+      delete this.accessory.context.override;
+      this.log.info(`[${this.platformName}] Override OFF, following the sky again`);
+    }
+    this.api.updatePlatformAccessories([this.accessory]);
+    this.emitOverride(now, false);
+
+    this.updateOverrideSwitches();
+    this.updateSunTimes(dateOverride, 'override');
+    return true;
+  }
+
+  /**
+   * Helper: Publishes the current override as an 'override' event.
+   * @param {Date} now - The moment the override changed.
+   * @param {boolean} expired - Whether it ended because its expiry time passed.
+   */
+  emitOverride(now, expired) {
+    const mode = this.override ? this.override.mode : null;
+    this.events.emit('override', {
+      mode,
+      name: mode ? OVERRIDES[mode].name : null,
+      until: this.override?.until || null,
+      expired,
+      time: now
+    });
+  }
 
-      // If the service's subtype is not in our 'enabled' list, mark for removal
-      return !service.subtype || !allowedSubtypes.has(service.subtype);
+  /**
+   * Helper: Syncs the override switches with the active override.
+   */
+  updateOverrideSwitches() {
+    Object.entries(this.overrideSwitches || {}).forEach(([mode, service]) => {
+      service.updateCharacteristic(this.Characteristic.On, this.override?.mode === mode);
     });
+  }
+
+  /**
+   * Compares currently registered services against the enabled sensors and removes unused ones.
+   * Removes nothing when the cached services already match, so it is safe to run on every start.
+   */
+  pruneServicesIfNeeded() {
+
+    // Resolve UUIDs for comparison (handles variations in HAP-NodeJS versions)
+    const serviceUUID = typeName => {
+      const type = this.Service[SERVICE_TYPES[typeName].service];
+      return type.UUID || type;
+    };
+    const sensorUUIDs = Object.keys(SERVICE_TYPES).map(serviceUUID);
+
+    // Expected service type and accessory of every enabled sensor, keyed by subtype
+    const expected = new Map(
+      this.serviceKeys.map(key => [
+        `${this.accessory.UUID}:${key}`,
+        { uuid: serviceUUID(this.serviceTypes[key]), accessory: this.getAccessoryFor(key) }
+      ])
+    );
+
+    const removals = this.getAccessories().flatMap(accessory => accessory.services
+      .filter(service => {
+        // Ignore services this plugin does not manage (like Accessory Information)
+        if (!sensorUUIDs.includes(service.UUID)) {
+          return false;
+        }
+
+        // Remove services that are no longer enabled, that changed type or that moved to
+        // another accessory (the setup methods recreate them with the same subtype)
+        const target = service.subtype && expected.get(service.subtype);
+        return !target || target.uuid !== service.UUID || target.accessory !== accessory;
+      })
+      .map(service => [accessory, service])
+    );
+    if (!removals.length) {
+      return;
+    }
 
-    for (const service of servicesToRemove) {
+    this.log.info(`[${this.platformName}] Sensor selection changed → pruning unused sensors`);
+    removals.forEach(([accessory, service]) => {
       const key = getServiceKeyFromSubtype(this.accessory.UUID, service.subtype);
       const serviceName = SUN_TIMES_META[key]?.name || service.displayName || 'Unknown';
       this.log.info(`[${this.platformName}] Removing sensor: ${serviceName}`);
-      this.accessory.removeService(service);
-    }
+      accessory.removeService(service);
+    });
+  }
+
+  /**
+   * Builds this instance's solar timeline around a moment in time.
+   * Offsets and clamps are applied before sorting, which keeps the windows non-overlapping
+   * even when an adjustment pushes an event past its neighbour.
+   * @param {Date} now - The moment to evaluate.
+   * @returns {Object} - The result of buildTimeline().
+   */
+  computeTimeline(now) {
+    return buildTimeline(now, {
+      lat: this.location.lat,
+      lon: this.location.lon,
+      eventKeys: this.eventKeys,
+      offsets: this.offsets,
+      thresholdEvents: this.thresholdEvents,
+      clamps: this.clamps,
+      timeZone: this.timeFormatter.timeZone
+    });
+  }
+
+  /**
+   * Describes the computed timeline as plain JSON data (used by the HTTP API).
+   * @param {Date} [date] - The moment to describe; defaults to now.
+   * @returns {Object} - Today's adjusted events, the active phase (as the sensors show it,
+   * so pinned while an override is active) and the next solar event.
+   */
+  getSnapshot(date) {
+    const now = date || this.clock.now();
+    const timeline = this.computeTimeline(now);
+    const { phaseTimeline } = this.getPhaseTimeline(now, timeline);
+    const iso = value => isValidDate(value) ? this.timeFormatter.formatIso(value) : null;
+    const clampedKeys = new Set(timeline.clamps.map(clamp => clamp.key));
+
+    return {
+      name: this.platformName,
+      id: this.instanceId || null,
+      simulated: this.clock.simulated,
+      location: { lat: this.location.lat, lon: this.location.lon },
+      timeZone: this.timeFormatter.timeZone ||
+        new Intl.DateTimeFormat().resolvedOptions().timeZone,
+      time: iso(now),
+      polarState: timeline.polarState,
+      sunAltitude: Math.round(timeline.altitude * 10) / 10,
+      active: phaseTimeline.active ?
+        {
+          key: phaseTimeline.active[0],
+          name: this.eventMeta[phaseTimeline.active[0]]?.name,
+          since: iso(phaseTimeline.active[1])
+        } :
+        null,
+      next: timeline.next ?
+        {
+          key: timeline.next[0],
+          name: this.eventMeta[timeline.next[0]]?.name,
+          at: iso(timeline.next[1]),
+          inSeconds: Math.round((timeline.next[1] - now) / 1000)
+        } :
+        null,
+      override: this.override ?
+        {
+          mode: this.override.mode,
+          name: OVERRIDES[this.override.mode].name,
+          until: this.override.until ? iso(this.override.until) : null
+        } :
+        null,
+      events: this.eventKeys.map(key => ({
+        key,
+        name: this.eventMeta[key].name,
+        time: iso(timeline.today[key]),
+        clamped: clampedKeys.has(key)
+      }))
+    };
+  }
+
+  /**
+   * Helper: The timeline the phase sensors follow at a moment: the real one, or while an
+   * override is active, the timeline at the override's pinned moment of the day.
+   * @param {Date} now - The moment to evaluate.
+   * @param {Object} timeline - The real timeline at that moment (from computeTimeline()).
+   * @returns {{override: Object|null, pinnedAt: Date|null, phaseTimeline: Object}}
+   */
+  getPhaseTimeline(now, timeline) {
+    const override = this.override && !(this.override.until && now >= this.override.until) ?
+      this.override :
+      null;
+    const pinnedAt = override ? timeline.rawDays[1][OVERRIDES[override.mode].moment] : null;
+    return {
+      override,
+      pinnedAt,
+      phaseTimeline: override ? this.computeTimeline(pinnedAt) : timeline
+    };
   }
 
   /**
    * Main calculation logic.
    * 1. Updates solar event times.
    * 2. Determines which event is currently "active" (Occupancy Detected).
-   * 3. Schedules the next update based on the next chronological event.
+   * 3. Schedules the next update based on the next chronological event (or local midnight).
+   * @param {Date} [dateOverride] - Calculate for this moment and skip scheduling (used by tests).
+   * @param {string} [reason] - Why the update runs, reported with the 'update' event.
    */
-  updateSunTimes(dateOverride) {
+  updateSunTimes(dateOverride, reason = 'scheduled') {
     if (this.timer) {
       clearTimeout(this.timer);
       this.timer = null;
     }
 
-    const now = dateOverride || new Date();
+    const now = dateOverride || this.clock.now();
 
-    // 1. Get raw solar times from Suncalc
-    const sunDates = suncalc.getTimes(
-      now,
-      this.location.lat,
-      this.location.lon
-    );
+    // 1-3. Build the adjusted, sorted timeline from yesterday, today and tomorrow.
+    const timeline = this.computeTimeline(now);
+    const sunDates = timeline.today;
 
-    // 2. Apply user-defined offsets
-    if (sunDates.sunriseEnd) {
-      sunDates.sunriseEnd = new Date(
-        sunDates.sunriseEnd.getTime() + (this.sunriseEndOffset * 60 * 1000)
+    // Note each clamp once per day
+    timeline.clamps.forEach(clamp => {
+      const id = `${clamp.key}:${clamp.to.toISOString()}`;
+      if (this.loggedClamps.has(id)) {
+        return;
+      }
+      if (this.loggedClamps.size > 100) {
+        this.loggedClamps.clear();
+      }
+      this.loggedClamps.add(id);
+      this.log.info(
+        `[${this.platformName}] ${this.eventMeta[clamp.key]?.name} clamped (${clamp.bound}) ` +
+        `from ${this.timeFormatter.format(clamp.from)} to ${this.timeFormatter.format(clamp.to)}`
       );
-    }
-    if (sunDates.sunsetStart) {
-      sunDates.sunsetStart = new Date(
-        sunDates.sunsetStart.getTime() + (this.sunsetStartOffset * 60 * 1000)
+    });
+
+    // An expired override hands control back to the sky
+    if (this.override?.until && now >= this.override.until) {
+      this.log.info(
+        `[${this.platformName}] Override '${OVERRIDES[this.override.mode].name}' expired`
       );
+      this.override = null;
+      delete this.accessory.context.override;
+      this.emitOverride(now, true);
+      this.updateOverrideSwitches();
     }
 
-    // 3. Create a sorted timeline of events occurring today
-    const sortedEvents = Object.entries(sunDates)
-      .filter(([key, date]) =>
-        date instanceof Date &&
-        SUN_TIMES_META[key] &&
-        this.enabledSensors.includes(key)
-      )
-      .sort((a, b) => a[1] - b[1]);
-
-    // 4. Find the "active" solar window
-    let activeKey = null;
-    for (let i = 0; i < sortedEvents.length; i++) {
-      const [key, startTime] = sortedEvents[i];
-      const next = sortedEvents[i + 1];
-      const endTime = next ? next[1] : null;
-
-      if (now >= startTime && (!endTime || now < endTime)) {
-        activeKey = key;
-        break;
-      }
-    }
+    // A manual override evaluates the phase sensors at a pinned moment of today instead
+    const { override, pinnedAt, phaseTimeline } = this.getPhaseTimeline(now, timeline);
 
-    // Fallback: If past the last event (e.g., late night), maintain the last event's state
-    if (!activeKey && sortedEvents.length) {
-      activeKey = sortedEvents[sortedEvents.length - 1][0];
+    // 4. The "active" solar window started with the last event that already happened
+    const activeKey = phaseTimeline.active ? phaseTimeline.active[0] : null;
+
+    if (timeline.polarState !== this.polarState) {
+      if (timeline.polarState !== 'normal' || this.polarState) {
+        this.log.info(`[${this.platformName}] Polar State: ${POLAR_STATES[timeline.polarState]}`);
+      }
+      this.polarState = timeline.polarState;
     }
 
     // 5. Update HomeKit characteristics
-    Object.entries(this.sensors).forEach(([key, sensor]) => {
-      const timeStr = sunDates[key] instanceof Date ?
-        sunDates[key].toLocaleTimeString() :
-        'N/A';
-      sensor.timeChar.updateValue(timeStr);
-
-      // Only the currently active phase shows as "Occupied"
-      const isOccupied = key === activeKey ?
-        this.Characteristic.OccupancyDetected.OCCUPANCY_DETECTED :
-        this.Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED;
+    const eventSensors = [...Object.entries(this.sensors), ...Object.entries(this.pulseSensors)];
+    eventSensors.forEach(([key, sensor]) => {
+      const hasTime = isValidDate(sunDates[key]);
+      sensor.timeChar.updateValue(hasTime ? this.timeFormatter.format(sunDates[key]) : 'N/A');
+      if (sensor.isoChar) {
+        sensor.isoChar.updateValue(hasTime ? this.timeFormatter.formatIso(sunDates[key]) : '');
+      }
+    });
 
-      sensor.service.updateCharacteristic(this.Characteristic.OccupancyDetected, isOccupied);
+    // Only the currently active phase shows as "Occupied"
+    Object.entries(this.sensors).forEach(([key, sensor]) => {
+      this.setSensorState(key, sensor.service, key === activeKey);
     });
 
     if (activeKey) {
       this.log.info(
         `[${this.platformName}] Current Solar Period: ` +
-        `${SUN_TIMES_META[activeKey]?.name}`
+        `${this.eventMeta[activeKey]?.name}` +
+        `${override ? ` (forced by '${OVERRIDES[override.mode].name}')` : ''}` +
+        `${this.clock.simulated ? ` [simulated ${this.timeFormatter.formatIso(now)}]` : ''}`
       );
     }
 
-    // 6. Schedule next update at the exact moment of the next solar event
+    // Publish the change of phase (the state found at startup is not a transition). A change
+    // caused by an override starting or ending happens now, not when the phase began
+    if (this.activeKey !== undefined && activeKey && activeKey !== this.activeKey) {
+      const time = override || this.phaseForced ? now : timeline.active[1] || now;
+      this.events.emit('transition', {
+        instance: this.platformName,
+        id: this.instanceId || '',
+        event: activeKey,
+        name: this.eventMeta[activeKey]?.name || activeKey,
+        previous: this.activeKey || '',
+        previousName: this.eventMeta[this.activeKey]?.name || '',
+        time: this.timeFormatter.formatIso(time),
+        timestamp: String(Math.floor(time.getTime() / 1000))
+      });
+    }
+    this.activeKey = activeKey;
+    this.phaseForced = !!override;
+
+    // Fire momentary triggers for the events that happened since the previous update
+    // (nothing fires on the first update, so a restart never replays old events, and nothing
+    // fires while an override pins the phases)
+    if (this.lastUpdate && now > this.lastUpdate && !override) {
+      new Set(
+        timeline.events
+          .filter(([key, date]) => date > this.lastUpdate && date <= now && this.pulseSensors[key])
+          .map(([key]) => key)
+      ).forEach(key => this.firePulse(key));
+    }
+    this.lastUpdate = now;
+    this.events.emit('update', now, reason);
+
+    // 6. Update the aggregate and moon sensors on the same schedule
+    // (aggregates follow an override's pinned moment too)
+    const aggregateUpcoming = this.updateAggregates(override ? pinnedAt : now, phaseTimeline);
+    const moonState = this.updateMoon(now);
+    this.saveState(phaseTimeline.active, timeline.today);
+
+    // 7. Schedule next update at the exact moment of the next solar (or lunar) event
     if (!dateOverride) {
-      const upcoming = sortedEvents.map(e => e[1]).filter(d => d > now);
-      const nextWait = upcoming.length ?
-        Math.min(...upcoming) - now.getTime() + 1000 : // Next event + 1s buffer
-        60 * 60 * 1000; // If day is done, check in 1 hour
+      // Local midnight is always scheduled, so the next day's times load on time even when
+      // nothing else happens (polar day/night) or a DST change shifts the day
+      const upcoming = (timeline.next ? [timeline.next[1]] : [])
+        .concat(aggregateUpcoming)
+        .concat(override?.until ? [override.until] : [])
+        .concat(moonState ? moonState.upcoming : [])
+        .concat([this.getNextMidnight(now)])
+        .filter(d => d > now);
+      const nextWait = Math.min(...upcoming) - now.getTime() + 1000; // Next event + 1s buffer
 
-      this.timer = setTimeout(() => this.updateSunTimes(), nextWait);
+      this.nextUpdateAt = new Date(now.getTime() + nextWait);
+      this.scheduleUpdate(this.nextUpdateAt, now);
+    }
+  }
+
+  /**
+   * Helper: Arms the timer that runs updateSunTimes() when the instance's clock reaches a
+   * moment. A wait longer than setTimeout() allows (possible with a slow simulated clock) is
+   * split: the capped timer only works out the remaining wait and re-arms itself.
+   * @param {Date} at - When to update (instance clock).
+   * @param {Date} [now] - The instance clock's current time.
+   */
+  scheduleUpdate(at, now = this.clock.now()) {
+    const realWait = this.clock.toRealDelay(at - now);
+    const delay = Math.min(realWait, MAX_TIMER_DELAY);
+
+    this.expectedWake = Date.now() + delay;
+    this.timer = setTimeout(
+      () => realWait > MAX_TIMER_DELAY ? this.scheduleUpdate(at) : this.updateSunTimes(),
+      delay
+    );
+  }
+
+  /**
+   * Helper: Lists the services of the sensors whose state updateSunTimes() computes.
+   * @returns {Object<string, Service>} - Services keyed by service key.
+   */
+  getStatefulServices() {
+    const services = {};
+    Object.entries(this.sensors).forEach(([key, sensor]) => {
+      services[key] = sensor.service;
+    });
+    Object.entries(this.aggregateSensors).forEach(([key, sensor]) => {
+      services[`aggregate:${key}`] = sensor.service;
+    });
+    if (this.moonSensors) {
+      services.moon = this.moonSensors.moonService;
+      services.fullMoon = this.moonSensors.fullMoonService;
+    }
+    return services;
+  }
+
+  /**
+   * Restores the last computed state saved in the accessory context onto the characteristics,
+   * so a restart publishes the previous values (not defaults) until the first recalculation.
+   * A simulated clock neither restores nor saves state: its moments are not the real ones.
+   */
+  restoreState() {
+    const saved = this.accessory.context.lastState;
+    if (!saved || typeof saved !== 'object' || this.clock.simulated) {
+      return;
+    }
+
+    const services = this.getStatefulServices();
+    Object.entries(saved.sensorStates || {}).forEach(([key, active]) => {
+      if (services[key]) {
+        this.setSensorState(key, services[key], active === true);
+      }
+    });
+    Object.entries(this.aggregateSensors).forEach(([key, sensor]) => {
+      if (typeof saved.sensorStates?.[`aggregate:${key}`] === 'boolean') {
+        sensor.active = saved.sensorStates[`aggregate:${key}`];
+      }
+    });
+    Object.entries(this.sensors).forEach(([key, sensor]) => {
+      const time = saved.events?.[key] ? new Date(saved.events[key]) : null;
+      if (time && isValidDate(time)) {
+        sensor.timeChar.updateValue(this.timeFormatter.format(time));
+      }
+    });
+    this.restoredState = saved;
+  }
+
+  /**
+   * Helper: Saves the computed state in the accessory context (persisted by Homebridge), and
+   * logs the transition missed while Homebridge was down on the first update after a restart.
+   * @param {Array|null} active - The active [key, date] entry of the phase sensors.
+   * @param {Object<string, Date>} today - Today's adjusted event times.
+   */
+  saveState(active, today) {
+    if (this.clock.simulated) {
+      return;
+    }
+
+    const activeKey = active ? active[0] : null;
+    const state = {
+      activeKey,
+      sensorStates: Object.fromEntries(
+        Object.keys(this.getStatefulServices()).map(key => [key, this.sensorStates[key] === true])
+      ),
+      events: Object.fromEntries(
+        this.eventKeys.map(key => [
+          key,
+          isValidDate(today[key]) ? today[key].toISOString() : null
+        ])
+      )
+    };
+
+    const restored = this.restoredState;
+    this.restoredState = null;
+    const knownKey = restored && (!restored.activeKey || this.eventMeta[restored.activeKey]);
+    if (knownKey && activeKey && restored.activeKey !== activeKey) {
+      this.log.info(
+        `[${this.platformName}] Missed transition while Homebridge was down: ` +
+        `${this.eventMeta[restored.activeKey]?.name || 'none'} → ` +
+        `${this.eventMeta[activeKey]?.name} (at ${this.timeFormatter.format(active[1])})`
+      );
+    }
+
+    // Only write the cache when something changed
+    if (JSON.stringify(this.accessory.context.lastState) !== JSON.stringify(state)) {
+      this.accessory.context.lastState = state;
+      this.api.updatePlatformAccessories([this.accessory]);
+    }
+  }
+
+  /**
+   * Helper: Returns the next local midnight in the instance's time zone.
+   * @param {Date} now - The current moment.
+   * @returns {Date}
+   */
+  getNextMidnight(now) {
+    const timeZone = this.timeFormatter.timeZone;
+    const { year, month, day } = getZonedParts(now, timeZone);
+    return zonedTimeToDate(year, month, day + 1, 0, 0, timeZone);
+  }
+
+  /**
+   * Starts the watchdog guarding the scheduler against host sleep and clock changes.
+   * Timers measure elapsed time, not wall-clock time, so a suspended host or an NTP/manual
+   * clock correction would otherwise leave transitions late or missed until the next event.
+   */
+  startWatchdog() {
+    this.watchdogTick = Date.now();
+    this.watchdogTimer = setInterval(() => this.checkClockDrift(), WATCHDOG_INTERVAL);
+  }
+
+  /**
+   * Compares the wall clock with the watchdog's own tick and with the scheduled update, and
+   * recalculates immediately when either drifted more than the threshold.
+   * @param {number} [realNow] - The current wall-clock time in ms (used by tests).
+   * @returns {boolean} - Whether drift was detected.
+   */
+  checkClockDrift(realNow = Date.now()) {
+    const tickDrift = realNow - this.watchdogTick - WATCHDOG_INTERVAL;
+    const lateBy = this.expectedWake ? realNow - this.expectedWake : 0;
+    this.watchdogTick = realNow;
+
+    const drift = Math.abs(tickDrift) > lateBy ? tickDrift : lateBy;
+    if (Math.abs(drift) <= this.driftThreshold * 1000) {
+      return false;
+    }
+
+    this.log.info(
+      `[${this.platformName}] Clock drifted by ${Math.round(drift / 1000)}s ` +
+      '(host sleep or clock change) → recalculating'
+    );
+    this.updateSunTimes(undefined, 'clock drift');
+    if (this.positionSensor || this.windowSensors?.length) {
+      this.updatePosition();
+    }
+    return true;
+  }
+
+  /**
+   * Refreshes the aggregate sensors. Called from updateSunTimes() so they share its timer.
+   * @param {Date} now - The moment to calculate for.
+   * @param {Object} timeline - The result of buildTimeline() for the same moment.
+   * @returns {Date[]} - Future boundaries of the enabled aggregates, for scheduling.
+   */
+  updateAggregates(now, timeline) {
+    const upcoming = [];
+
+    this.aggregateKeys.forEach(key => {
+      const sensor = this.aggregateSensors[key];
+      const state = getAggregateState(
+        AGGREGATE_META[key],
+        timeline.rawDays,
+        now,
+        timeline.altitude
+      );
+
+      if (sensor.active !== null && sensor.active !== state.active) {
+        this.log.info(
+          `[${this.platformName}] ${AGGREGATE_META[key].name} ` +
+          `${state.active ? 'started' : 'ended'}`
+        );
+      }
+      sensor.active = state.active;
+      this.setSensorState(`aggregate:${key}`, sensor.service, state.active);
+      sensor.polarChar.updateValue(POLAR_STATES[timeline.polarState]);
+      upcoming.push(...state.upcoming);
+    });
+    return upcoming;
+  }
+
+  /**
+   * Refreshes the moon sensors. Called from updateSunTimes() so the moon shares its timer.
+   * @param {Date} now - The moment to calculate for.
+   * @returns {Object|null} - The moon state (including upcoming changes), or null if disabled.
+   */
+  updateMoon(now) {
+    if (!this.moonSensors) {
+      return null;
+    }
+
+    const state = getMoonState(
+      now,
+      this.location.lat,
+      this.location.lon,
+      this.moon.fullMoonWindow
+    );
+    this.moonSensors.phaseChar.updateValue(state.phaseName);
+    this.moonSensors.illuminationChar.updateValue(state.illumination);
+    this.setSensorState('moon', this.moonSensors.moonService, state.isUp);
+    this.setSensorState('fullMoon', this.moonSensors.fullMoonService, state.isFullMoon);
+
+    this.log.debug(
+      `[${this.platformName}] Moon: ${state.isUp ? 'up' : 'down'}, ` +
+      `${state.phaseName} (${state.illumination}% illuminated)` +
+      `${state.isFullMoon ? ', full moon window' : ''}`
+    );
+
+    return state;
+  }
+
+  /**
+   * Briefly triggers an event's Motion Sensor, so automations fire exactly at the event time.
+   * @param {string} key - The event key.
+   */
+  firePulse(key) {
+    const sensor = this.pulseSensors[key];
+    clearTimeout(sensor.timer);
+
+    this.log.info(`[${this.platformName}] Event Fired: ${this.eventMeta[key]?.name}`);
+    this.setSensorState(`pulse:${key}`, sensor.service, true);
+    sensor.timer = setTimeout(() => {
+      sensor.timer = null;
+      this.setSensorState(`pulse:${key}`, sensor.service, false);
+    }, this.pulseLength * 1000);
+  }
+
+  /**
+   * Refreshes the sensors driven by the live sun position (position and window sensors).
+   * @param {Date} [dateOverride] - Calculate for this moment instead of now (used by tests).
+   */
+  updatePosition(dateOverride) {
+    const now = dateOverride || this.clock.now();
+    const position = getSunPosition(now, this.location.lat, this.location.lon);
+    const { altitude, azimuth } = position;
+
+    (this.windowSensors || []).forEach(sensor => {
+      const exposed = isWindowExposed(sensor.window, position, sensor.exposed);
+      if (exposed !== sensor.exposed) {
+        this.log.info(
+          `[${this.platformName}] ${sensor.window.name}: direct sun ` +
+          `${exposed ? 'started' : 'ended'} (altitude ${altitude.toFixed(1)}°, ` +
+          `azimuth ${azimuth.toFixed(1)}°)`
+        );
+      }
+      sensor.exposed = exposed;
+      this.setSensorState(sensor.window.key, sensor.service, exposed);
+    });
+
+    if (!this.positionSensor) {
+      return;
+    }
+
+    const isAbove = altitude > this.position.aboveAltitude;
+
+    this.positionSensor.altitudeChar.updateValue(Math.round(altitude * 10) / 10);
+    this.positionSensor.azimuthChar.updateValue(Math.round(azimuth * 10) / 10);
+    this.setSensorState('position', this.positionSensor.service, isAbove);
+
+    // Only log when the sun crosses the configured altitude, not on every refresh
+    if (isAbove !== this.positionSensor.isAbove) {
+      this.log.info(
+        `[${this.platformName}] Sun is ${isAbove ? 'above' : 'below'} ` +
+        `${this.position.aboveAltitude}° (altitude ${altitude.toFixed(1)}°, ` +
+        `azimuth ${azimuth.toFixed(1)}°)`
+      );
+      this.positionSensor.isAbove = isAbove;
     }
   }
 
@@ -325,7 +1885,17 @@ class SuncalcAccessory {
     if (this.timer) {
       clearTimeout(this.timer);
     }
+    Object.values(this.pulseSensors).forEach(sensor => clearTimeout(sensor.timer));
+    if (this.webhooks) {
+      this.webhooks.stop();
+    }
+    if (this.positionTimer) {
+      clearInterval(this.positionTimer);
+    }
+    if (this.watchdogTimer) {
+      clearInterval(this.watchdogTimer);
+    }
   }
 }
 
-module.exports = { SuncalcAccessory };
\ No newline at end of file
+module.exports = { SENSOR_MODES, SuncalcAccessory, slugify, previewTimeline };
\ No newline at end of file
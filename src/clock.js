@@ -0,0 +1,86 @@
+// src/clock.js
+
+'use strict';
+
+/**
+ * Wall-clock helper, used to resolve a date-only simulation start in the instance's time zone.
+ */
+const { zonedTimeToDate } = require('./timezone');
+
+/**
+ * Slowest supported simulation speed. Slower clocks are of no use for testing, and would
+ * leave the scheduler waiting days (real time) for the next event.
+ */
+const MIN_SPEED = 0.1;
+
+/**
+ * Helper: Normalizes the optional simulation settings.
+ * The start is an ISO-8601 moment (e.g. '2024-03-31T00:30:00Z') or a plain date
+ * ('2024-03-31', midnight in the instance's time zone). Invalid settings are logged and the
+ * instance runs on real time.
+ * @param {Object} [simulationConfig] - The 'simulation' object from config.json.
+ * @param {string} [timeZone] - The instance's time zone (host zone if omitted).
+ * @param {Function} logError - Logger used to report invalid settings.
+ * @returns {{enabled: boolean, start: Date|null, speed: number}}
+ */
+function getSimulationSettings(simulationConfig, timeZone, logError) {
+  const disabled = { enabled: false, start: null, speed: 1 };
+  if (simulationConfig?.enabled !== true) {
+    return disabled;
+  }
+
+  const value = String(simulationConfig.start ?? '');
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const start = match ?
+    zonedTimeToDate(Number(match[1]), Number(match[2]), Number(match[3]), 0, 0, timeZone) :
+    new Date(value);
+  if (!value || Number.isNaN(start.getTime())) {
+    logError(
+      `Ignoring simulation with an invalid start: ${JSON.stringify(simulationConfig.start)}`
+    );
+    return disabled;
+  }
+
+  const speed = simulationConfig.speed === undefined ? 1 : Number(simulationConfig.speed);
+  if (!Number.isFinite(speed) || speed < MIN_SPEED) {
+    logError(
+      `Ignoring simulation with an invalid speed (at least ${MIN_SPEED}): ` +
+      JSON.stringify(simulationConfig.speed)
+    );
+    return disabled;
+  }
+
+  return { enabled: true, start, speed };
+}
+
+/**
+ * Creates the clock an instance runs on.
+ * The real clock is the system time. A simulated clock starts at the configured moment when
+ * the instance starts and runs 'speed' times faster than real time (e.g. 144 runs one day in
+ * ten minutes), so the regular scheduler fires every event in fast motion.
+ * @param {Object} simulation - Normalized settings from getSimulationSettings().
+ * @returns {{simulated: boolean, speed: number, now: function(): Date,
+ * toRealDelay: function(number): number}} - toRealDelay converts a wait in simulated
+ * milliseconds to real milliseconds.
+ */
+function createClock(simulation) {
+  if (!simulation.enabled) {
+    return {
+      simulated: false,
+      speed: 1,
+      now: () => new Date(),
+      toRealDelay: delay => delay
+    };
+  }
+
+  const realStart = Date.now();
+  const { start, speed } = simulation;
+  return {
+    simulated: true,
+    speed,
+    now: () => new Date(start.getTime() + (Date.now() - realStart) * speed),
+    toRealDelay: delay => Math.ceil(delay / speed)
+  };
+}
+
+module.exports = { getSimulationSettings, createClock };
\ No newline at end of file
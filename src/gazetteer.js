@@ -0,0 +1,210 @@
+// src/gazetteer.js
+
+'use strict';
+
+/**
+ * Offline place lookup for instance locations.
+ * Places come from bundled datasets (no network access): 'city-timezones' (about 7,300 cities
+ * with coordinates and IANA time zones) and 'zipcodes' (US ZIP codes and Canadian postal
+ * code prefixes). Both are loaded on first use, so instances configured with coordinates
+ * never pay for them.
+ */
+
+/**
+ * Maximum number of alternative matches reported for an ambiguous place name.
+ */
+const MAX_ALTERNATIVES = 5;
+
+/**
+ * Postcode formats: US ZIP (with optional ZIP+4) and Canadian postal code (the dataset has
+ * the first three characters, the forward sortation area).
+ */
+const US_ZIP_PATTERN = /^(\d{5})(?:-\d{4})?$/;
+const CA_POSTAL_PATTERN = /^([A-Z]\d[A-Z])\s*(?:\d[A-Z]\d)?$/i;
+
+/**
+ * Lazily built city index: normalized name → cities, most populous first.
+ * @type {Map<string, Object[]>|null}
+ */
+let cityIndex = null;
+
+/**
+ * Helper: Normalizes a name for comparison (case, accents and surrounding spaces ignored).
+ * @param {*} text
+ * @returns {string}
+ */
+function normalize(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Helper: Returns the city dataset.
+ * @returns {Object[]}
+ */
+function getCities() {
+  return require('city-timezones').cityMapping;
+}
+
+/**
+ * Helper: Returns the city index, building it on first use.
+ * @returns {Map<string, Object[]>}
+ */
+function getCityIndex() {
+  if (!cityIndex) {
+    cityIndex = new Map();
+    getCities().forEach(city => {
+      new Set([normalize(city.city), normalize(city.city_ascii)]).forEach(name => {
+        if (!cityIndex.has(name)) {
+          cityIndex.set(name, []);
+        }
+        cityIndex.get(name).push(city);
+      });
+    });
+    cityIndex.forEach(cities => cities.sort((a, b) => b.pop - a.pop));
+  }
+  return cityIndex;
+}
+
+/**
+ * Helper: Describes a city as 'City, Province, Country'.
+ * @param {Object} city - Entry of the city dataset.
+ * @returns {string}
+ */
+function describeCity(city) {
+  return [city.city, city.province, city.country]
+    .filter((part, index, parts) => part && parts.indexOf(part) === index)
+    .join(', ');
+}
+
+/**
+ * Helper: Converts a city dataset entry to a place.
+ * @param {Object} city
+ * @returns {{name: string, lat: number, lon: number, timeZone: string}}
+ */
+function toPlace(city) {
+  return { name: describeCity(city), lat: city.lat, lon: city.lng, timeZone: city.timezone };
+}
+
+/**
+ * Helper: Finds the time zone of a postcode from the nearest city of the same country.
+ * @param {number} lat
+ * @param {number} lon
+ * @param {string} iso2 - Country code ('US' or 'CA').
+ * @returns {string|undefined}
+ */
+function getNearestTimeZone(lat, lon, iso2) {
+  const scale = Math.cos(lat * Math.PI / 180);
+  let nearest;
+  let nearestDistance = Infinity;
+
+  getCities()
+    .filter(city => city.iso2 === iso2)
+    .forEach(city => {
+      const distance = (city.lat - lat) ** 2 + ((city.lng - lon) * scale) ** 2;
+      if (distance < nearestDistance) {
+        nearest = city;
+        nearestDistance = distance;
+      }
+    });
+  return nearest?.timezone;
+}
+
+/**
+ * Helper: Looks up a US ZIP code or Canadian postal code.
+ * @param {string} query
+ * @returns {{name: string, lat: number, lon: number, timeZone: string}|null|undefined} -
+ * undefined if the query is not a postcode, null if it is one but unknown.
+ */
+function lookupPostcode(query) {
+  const zip = US_ZIP_PATTERN.exec(query)?.[1] || CA_POSTAL_PATTERN.exec(query)?.[1];
+  if (!zip) {
+    return undefined;
+  }
+
+  const entry = require('zipcodes').lookup(zip.toUpperCase());
+  if (!entry) {
+    return null;
+  }
+  const iso2 = entry.country === 'US' ? 'US' : 'CA';
+  return {
+    name: `${entry.zip} ${entry.city}, ${entry.state}, ${iso2}`,
+    lat: entry.latitude,
+    lon: entry.longitude,
+    timeZone: getNearestTimeZone(entry.latitude, entry.longitude, iso2)
+  };
+}
+
+/**
+ * Resolves a place name or postcode against the bundled gazetteer.
+ * Place names are a city, optionally followed by comma-separated qualifiers that narrow the
+ * search (province or state, its code, country or country code), e.g. 'Springfield, Ohio' or
+ * 'London, GB'. When several cities match, the most populous one is used and the others are
+ * returned as alternatives.
+ * @param {string} query - Place name, US ZIP code or Canadian postal code.
+ * @returns {{place: {name: string, lat: number, lon: number, timeZone: string}|null,
+ * alternatives: string[]}} - place is null if nothing matched.
+ */
+function lookupPlace(query) {
+  const postcode = lookupPostcode(query.trim());
+  if (postcode !== undefined) {
+    return { place: postcode, alternatives: [] };
+  }
+
+  const [name, ...qualifiers] = query.split(',').map(normalize);
+  const matches = (getCityIndex().get(name) || []).filter(city => {
+    const fields = [city.province, city.state_ansi, city.country, city.iso2, city.iso3]
+      .map(normalize);
+    return qualifiers.filter(Boolean).every(qualifier => fields.includes(qualifier));
+  });
+
+  return {
+    place: matches.length ? toPlace(matches[0]) : null,
+    alternatives: matches.slice(1, 1 + MAX_ALTERNATIVES).map(describeCity)
+  };
+}
+
+/**
+ * Helper: Extracts the place query of a location setting: the location itself when it is a
+ * string, or its 'place' field.
+ * @param {*} location - The instance's 'location' setting.
+ * @returns {string|null} - null when the location is not given by place.
+ */
+function getPlaceQuery(location) {
+  const query = typeof location === 'string' ? location : location?.place;
+  return typeof query === 'string' && query.trim() ? query.trim() : null;
+}
+
+/**
+ * Replaces a place-name location by the coordinates it resolves to. The place's time zone
+ * is used unless the instance sets 'timeZone' itself. Instances located by coordinates, and
+ * places that do not resolve, are returned unchanged (validation then reports the latter).
+ * @param {Object} instanceConfig - One entry of 'instances'.
+ * @returns {{config: Object, query: string|null, place: Object|null, alternatives: string[]}}
+ */
+function resolveLocation(instanceConfig) {
+  const query = getPlaceQuery(instanceConfig?.location);
+  if (query === null) {
+    return { config: instanceConfig, query, place: null, alternatives: [] };
+  }
+
+  const { place, alternatives } = lookupPlace(query);
+  if (!place) {
+    return { config: instanceConfig, query, place, alternatives };
+  }
+  return {
+    config: {
+      ...instanceConfig,
+      location: { lat: place.lat, lon: place.lon },
+      timeZone: instanceConfig.timeZone || place.timeZone
+    },
+    query,
+    place,
+    alternatives
+  };
+}
+
+module.exports = { lookupPlace, getPlaceQuery, resolveLocation };
\ No newline at end of file
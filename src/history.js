@@ -0,0 +1,219 @@
+// src/history.js
+
+'use strict';
+
+/**
+ * File system helpers for the JSON-lines history files.
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Defaults for the optional transition history (disabled unless enabled in config.json).
+ */
+const HISTORY_DEFAULTS = {
+  retentionDays: 30,
+  limit: 100
+};
+
+/**
+ * History files are named after the (UTC) day they were written, e.g. 'history-2024-03-20.jsonl'.
+ */
+const FILE_PATTERN = /^history-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+/**
+ * Helper: Normalizes the platform-level 'history' settings.
+ * @param {Object} [historyConfig] - The 'history' object from config.json.
+ * @returns {{enabled: boolean, retentionDays: number}}
+ */
+function getHistorySettings(historyConfig) {
+  const retentionDays = Number(historyConfig?.retentionDays);
+
+  return {
+    enabled: historyConfig?.enabled === true,
+    retentionDays: Number.isInteger(retentionDays) && retentionDays >= 1 ?
+      retentionDays :
+      HISTORY_DEFAULTS.retentionDays
+  };
+}
+
+/**
+ * Records phase transitions, overrides and recalculations of every instance in daily
+ * JSON-lines files (one JSON object per line), and deletes files older than the retention.
+ * Writes are queued, so entries keep their order and never block the scheduler.
+ */
+class HistoryStore {
+  /**
+   * @param {Object} log - Homebridge logger.
+   * @param {string} directory - Where the history files are kept.
+   * @param {{retentionDays: number}} settings - Normalized 'history' settings.
+   */
+  constructor(log, directory, settings) {
+    this.log = log;
+    this.directory = directory;
+    this.settings = settings;
+    this.queue = Promise.resolve();
+    this.currentDay = null;
+    this.reportedError = false;
+  }
+
+  /**
+   * Records the events of an instance. Called before its first update, so the startup state
+   * is recorded too. Simulated instances are not recorded: their times are made up.
+   * @param {SuncalcAccessory} instance
+   */
+  attach(instance) {
+    if (instance.clock.simulated) {
+      this.log.debug(`[${instance.platformName}] Simulated clock: not recorded in the history`);
+      return;
+    }
+    const identity = () => ({ instance: instance.platformName, id: instance.instanceId || null });
+    const iso = date => instance.timeFormatter.formatIso(date);
+
+    instance.events.on('transition', transition => {
+      this.record({
+        time: transition.time,
+        ...identity(),
+        type: 'transition',
+        event: transition.event,
+        name: transition.name,
+        previous: transition.previous || null
+      });
+    });
+    instance.events.on('override', override => {
+      this.record({
+        time: iso(override.time),
+        ...identity(),
+        type: 'override',
+        override: override.mode,
+        name: override.name,
+        until: override.until ? iso(override.until) : null,
+        expired: override.expired
+      });
+    });
+    instance.events.on('update', (now, reason) => {
+      this.record({
+        time: iso(now),
+        ...identity(),
+        type: 'recompute',
+        reason,
+        active: instance.activeKey || null
+      });
+    });
+  }
+
+  /**
+   * Appends an entry to today's file (rotating and pruning old files on the first write of a
+   * day). Write errors are logged once.
+   * @param {Object} entry
+   */
+  record(entry) {
+    const now = new Date();
+    const day = now.toISOString().slice(0, 10);
+
+    this.queue = this.queue
+      .then(async() => {
+        if (day !== this.currentDay) {
+          this.currentDay = day;
+          await fs.promises.mkdir(this.directory, { recursive: true });
+          await this.prune(now);
+        }
+        await fs.promises.appendFile(
+          path.join(this.directory, `history-${day}.jsonl`),
+          `${JSON.stringify(entry)}\n`
+        );
+        this.reportedError = false;
+      })
+      .catch(err => {
+        if (!this.reportedError) {
+          this.log.error(`History could not be written to ${this.directory}: ${err.message}`);
+          this.reportedError = true;
+        }
+      });
+  }
+
+  /**
+   * Helper: Deletes the files older than the retention period.
+   * @param {Date} now
+   */
+  async prune(now) {
+    const cutoff = new Date(now.getTime() - this.settings.retentionDays * 86400000)
+      .toISOString()
+      .slice(0, 10);
+
+    for (const file of await fs.promises.readdir(this.directory)) {
+      const match = FILE_PATTERN.exec(file);
+      if (match && match[1] < cutoff) {
+        await fs.promises.unlink(path.join(this.directory, file));
+        this.log.debug(`Deleted expired history file: ${file}`);
+      }
+    }
+  }
+
+  /**
+   * Waits until every queued entry has been written.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.queue;
+  }
+
+  /**
+   * Reads recorded entries, newest first.
+   * @param {Object} [filter]
+   * @param {string} [filter.instance] - Instance name or id.
+   * @param {string} [filter.type] - 'transition', 'override' or 'recompute'.
+   * @param {string} [filter.event] - Only transitions to this event (e.g. 'dusk').
+   * @param {Date} [filter.since] - Only entries at or after this moment.
+   * @param {Date} [filter.until] - Only entries before this moment.
+   * @param {number} [filter.limit] - Maximum number of entries (default 100).
+   * @returns {Promise<Object[]>}
+   */
+  async query(filter = {}) {
+    await this.flush();
+    const limit = filter.limit || HISTORY_DEFAULTS.limit;
+
+    let files;
+    try {
+      files = (await fs.promises.readdir(this.directory)).filter(file => FILE_PATTERN.test(file));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return [];
+      }
+      throw err;
+    }
+
+    const matches = entry => {
+      const time = Date.parse(entry.time);
+      return (!filter.instance || entry.instance === filter.instance ||
+          entry.id === filter.instance) &&
+        (!filter.type || entry.type === filter.type) &&
+        (!filter.event || entry.event === filter.event) &&
+        (!filter.since || time >= filter.since.getTime()) &&
+        (!filter.until || time < filter.until.getTime());
+    };
+
+    const entries = [];
+    for (const file of files.sort().reverse()) {
+      const content = await fs.promises.readFile(path.join(this.directory, file), 'utf8');
+      const lines = content.split('\n').filter(Boolean).reverse();
+      for (const line of lines) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          continue; // A line cut short by a crash
+        }
+        if (matches(entry)) {
+          entries.push(entry);
+          if (entries.length >= limit) {
+            return entries;
+          }
+        }
+      }
+    }
+    return entries;
+  }
+}
+
+module.exports = { HistoryStore, getHistorySettings };
\ No newline at end of file
@@ -0,0 +1,118 @@
+// src/moon.js
+
+'use strict';
+
+/**
+ * Required dependency: suncalc
+ * Used to calculate moon rise/set times and illumination.
+ */
+const suncalc = require('suncalc');
+
+/**
+ * Average length of a lunar cycle (new moon to new moon) in days.
+ */
+const SYNODIC_MONTH_DAYS = 29.530588853;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Human-readable phase names, centred on suncalc's phase fraction
+ * (0 = new moon, 0.25 = first quarter, 0.5 = full moon, 0.75 = last quarter).
+ */
+const MOON_PHASE_NAMES = [
+  'New Moon',
+  'Waxing Crescent',
+  'First Quarter',
+  'Waxing Gibbous',
+  'Full Moon',
+  'Waning Gibbous',
+  'Last Quarter',
+  'Waning Crescent'
+];
+
+/**
+ * Helper: Maps suncalc's phase fraction (0 to 1) to a phase name.
+ * @param {number} phase
+ * @returns {string}
+ */
+function getMoonPhaseName(phase) {
+  return MOON_PHASE_NAMES[Math.round(phase * 8) % 8];
+}
+
+/**
+ * Helper: Collects moonrise/moonset events from yesterday, today and tomorrow, in order.
+ * Stitching the neighbouring days means the state is correct right after midnight too.
+ * @param {Object[]} days - suncalc.getMoonTimes() results for consecutive days.
+ * @returns {Array<{type: string, date: Date}>}
+ */
+function getMoonEvents(days) {
+  return days
+    .flatMap(times => [
+      times.rise instanceof Date ? { type: 'rise', date: times.rise } : null,
+      times.set instanceof Date ? { type: 'set', date: times.set } : null
+    ])
+    .filter(Boolean)
+    .sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Calculates everything the moon sensors publish for a moment in time.
+ * @param {Date} now - The moment to calculate for.
+ * @param {number} lat - Latitude in degrees.
+ * @param {number} lon - Longitude in degrees.
+ * @param {number} fullMoonWindow - Hours either side of the exact full moon that count as
+ * "Full Moon".
+ * @returns {{isUp: boolean, phase: number, phaseName: string, illumination: number,
+ * isFullMoon: boolean, rise: Date|null, set: Date|null, upcoming: Date[]}} - `upcoming` holds
+ * the future moments at which any of these values next changes state, for scheduling.
+ */
+function getMoonState(now, lat, lon, fullMoonWindow) {
+  const days = [-1, 0, 1].map(offset =>
+    suncalc.getMoonTimes(new Date(now.getTime() + (offset * DAY_MS)), lat, lon)
+  );
+  const today = days[1];
+  const events = getMoonEvents(days);
+
+  // Moon Up: explicit always-up/always-down days win, otherwise follow the last rise/set
+  let isUp;
+  if (today.alwaysUp) {
+    isUp = true;
+  } else if (today.alwaysDown) {
+    isUp = false;
+  } else {
+    const past = events.filter(event => event.date <= now);
+    const next = events.find(event => event.date > now);
+    isUp = past.length ?
+      past[past.length - 1].type === 'rise' :
+      next?.type === 'set';
+  }
+
+  // Phase and illumination
+  const { fraction, phase } = suncalc.getMoonIllumination(now);
+  const hoursFromFull = (phase - 0.5) * SYNODIC_MONTH_DAYS * 24;
+  const isFullMoon = Math.abs(hoursFromFull) <= fullMoonWindow;
+
+  // Full moon window edges: the nearest full moon, plus the next one
+  const fullMoonAt = now.getTime() - (hoursFromFull * HOUR_MS);
+  const fullMoonEdges = [0, SYNODIC_MONTH_DAYS * DAY_MS].flatMap(cycle => [
+    new Date(fullMoonAt + cycle - (fullMoonWindow * HOUR_MS)),
+    new Date(fullMoonAt + cycle + (fullMoonWindow * HOUR_MS))
+  ]);
+
+  const upcoming = [...events.map(event => event.date), ...fullMoonEdges]
+    .filter(date => date > now);
+
+  return {
+    isUp,
+    phase,
+    phaseName: getMoonPhaseName(phase),
+    illumination: Math.round(fraction * 100),
+    isFullMoon,
+    rise: today.rise || null,
+    set: today.set || null,
+    upcoming
+  };
+}
+
+module.exports = { getMoonState };
\ No newline at end of file
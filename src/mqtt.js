@@ -0,0 +1,245 @@
+// src/mqtt.js
+
+'use strict';
+
+/**
+ * MQTT client (MQTT 3.1.1/5, reconnects automatically).
+ */
+const mqtt = require('mqtt');
+
+/**
+ * Shared slug helper, so topics follow the same rules as service subtypes.
+ */
+const { slugify } = require('./accessory');
+
+/**
+ * Defaults for the optional MQTT publisher (disabled unless enabled in config.json).
+ */
+const MQTT_DEFAULTS = {
+  url: 'mqtt://localhost:1883',
+  topicPrefix: 'suncalc',
+  discoveryPrefix: 'homeassistant',
+  interval: 60
+};
+
+/**
+ * Helper: Normalizes the platform-level 'mqtt' settings.
+ * @param {Object} [mqttConfig] - The 'mqtt' object from config.json.
+ * @returns {{enabled: boolean, url: string, username: string|undefined,
+ * password: string|undefined, topicPrefix: string, discovery: boolean,
+ * discoveryPrefix: string, interval: number}} - interval is in milliseconds.
+ */
+function getMqttSettings(mqttConfig) {
+  const text = (value, fallback) =>
+    typeof value === 'string' && value.trim() ? value.trim() : fallback;
+  const interval = Number(mqttConfig?.interval);
+
+  return {
+    enabled: mqttConfig?.enabled === true,
+    url: text(mqttConfig?.url, MQTT_DEFAULTS.url),
+    username: text(mqttConfig?.username, undefined),
+    password: typeof mqttConfig?.password === 'string' ? mqttConfig.password : undefined,
+    topicPrefix: text(mqttConfig?.topicPrefix, MQTT_DEFAULTS.topicPrefix).replace(/\/+$/, ''),
+    discovery: mqttConfig?.discovery === true,
+    discoveryPrefix: text(mqttConfig?.discoveryPrefix, MQTT_DEFAULTS.discoveryPrefix),
+    interval: (Number.isFinite(interval) && interval >= 5 ? interval : MQTT_DEFAULTS.interval) *
+      1000
+  };
+}
+
+/**
+ * Helper: Removes credentials from a broker URL before it is logged.
+ * @param {string} url
+ * @returns {string}
+ */
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.username = '';
+    parsed.password = '';
+    return parsed.toString();
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Publishes the state of every instance to an MQTT broker.
+ * Topics (all retained except 'transition'), below '<topicPrefix>/<instance id or name slug>':
+ *   phase, phase_name   - The active solar phase (key and display name).
+ *   altitude            - The sun altitude in degrees, refreshed every 'interval' seconds.
+ *   events/<key>        - Today's adjusted event time (ISO-8601, empty if it does not occur).
+ *   state               - The full snapshot as JSON (same data as the HTTP API).
+ *   transition          - One JSON message per phase change (same fields as webhooks).
+ * '<topicPrefix>/status' is 'online' while connected ('offline' is the last will).
+ */
+class MqttPublisher {
+  /**
+   * @param {Object} log - Homebridge logger.
+   * @param {Object} settings - Normalized 'mqtt' settings from getMqttSettings().
+   * @param {function(): SuncalcAccessory[]} getInstances - Returns the running instances.
+   */
+  constructor(log, settings, getInstances) {
+    this.log = log;
+    this.settings = settings;
+    this.getInstances = getInstances;
+    this.client = null;
+    this.timer = null;
+    this.reportedError = false;
+    this.statusTopic = `${settings.topicPrefix}/status`;
+  }
+
+  /**
+   * Connects to the broker and subscribes to the instances' scheduler events.
+   * Connection problems are logged; the client keeps retrying in the background.
+   */
+  start() {
+    this.client = mqtt.connect(this.settings.url, {
+      username: this.settings.username,
+      password: this.settings.password,
+      reconnectPeriod: 5000,
+      will: { topic: this.statusTopic, payload: 'offline', qos: 1, retain: true }
+    });
+
+    this.client.on('connect', () => {
+      this.log.info(`MQTT connected to ${redactUrl(this.settings.url)}`);
+      this.reportedError = false;
+      this.client.publish(this.statusTopic, 'online', { qos: 1, retain: true });
+      this.getInstances().forEach(instance => {
+        if (this.settings.discovery) {
+          this.publishDiscovery(instance);
+        }
+        this.publishState(instance);
+      });
+    });
+    this.client.on('error', err => {
+      // Reconnect attempts repeat the same error; report it once per outage
+      if (!this.reportedError) {
+        this.log.error(`MQTT error (${redactUrl(this.settings.url)}): ${err.message}`);
+        this.reportedError = true;
+      }
+    });
+
+    this.getInstances().forEach(instance => {
+      instance.events.on('update', now => this.publishState(instance, now));
+      instance.events.on('transition', transition => {
+        this.publish(`${this.getBaseTopic(instance)}/transition`, JSON.stringify(transition), {
+          qos: 1,
+          retain: false
+        });
+      });
+    });
+
+    this.timer = setInterval(() => {
+      this.getInstances().forEach(instance => this.publishState(instance));
+    }, this.settings.interval);
+  }
+
+  /**
+   * Disconnects from the broker (marking the plugin offline) and stops the refresh timer.
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.client) {
+      if (this.client.connected) {
+        this.client.publish(this.statusTopic, 'offline', { qos: 1, retain: true });
+      }
+      this.client.end();
+      this.client = null;
+    }
+  }
+
+  /**
+   * Helper: The topic below which an instance is published.
+   * @param {SuncalcAccessory} instance
+   * @returns {string}
+   */
+  getBaseTopic(instance) {
+    return `${this.settings.topicPrefix}/${slugify(instance.instanceId || instance.platformName)}`;
+  }
+
+  /**
+   * Helper: Publishes a message while connected (state is republished on reconnect).
+   * @param {string} topic
+   * @param {string} payload
+   * @param {Object} [options] - MQTT publish options; retained by default.
+   */
+  publish(topic, payload, options = { qos: 0, retain: true }) {
+    if (this.client?.connected) {
+      this.client.publish(topic, payload, options);
+    }
+  }
+
+  /**
+   * Publishes the retained state topics of one instance.
+   * @param {SuncalcAccessory} instance
+   * @param {Date} [now] - The moment to describe; defaults to now.
+   */
+  publishState(instance, now) {
+    if (!this.client?.connected) {
+      return;
+    }
+
+    const base = this.getBaseTopic(instance);
+    const snapshot = instance.getSnapshot(now);
+
+    this.publish(`${base}/phase`, snapshot.active?.key || '');
+    this.publish(`${base}/phase_name`, snapshot.active?.name || '');
+    this.publish(`${base}/altitude`, String(snapshot.sunAltitude));
+    snapshot.events.forEach(event => {
+      this.publish(`${base}/events/${event.key}`, event.time || '');
+    });
+    this.publish(`${base}/state`, JSON.stringify(snapshot));
+  }
+
+  /**
+   * Publishes Home Assistant MQTT discovery payloads for one instance: the active phase,
+   * the sun altitude and one timestamp sensor per event, grouped as one device.
+   * @param {SuncalcAccessory} instance
+   */
+  publishDiscovery(instance) {
+    const base = this.getBaseTopic(instance);
+    const objectId = `suncalc_${slugify(instance.instanceId || instance.platformName)}`;
+    // Home Assistant expects snake_case keys
+    const common = {
+      'availability_topic': this.statusTopic,
+      'device': {
+        'identifiers': [objectId],
+        'name': instance.platformName,
+        'manufacturer': 'Homebridge Suncalc',
+        'model': 'Solar Times Sensor'
+      }
+    };
+    const sensors = [
+      ['phase', {
+        'name': 'Solar Phase',
+        'state_topic': `${base}/phase_name`,
+        'icon': 'mdi:weather-sunset'
+      }],
+      ['altitude', {
+        'name': 'Sun Altitude',
+        'state_topic': `${base}/altitude`,
+        'unit_of_measurement': '°',
+        'state_class': 'measurement',
+        'icon': 'mdi:angle-acute'
+      }],
+      ...instance.eventKeys.map(key => [key, {
+        'name': instance.eventMeta[key].name,
+        'state_topic': `${base}/events/${key}`,
+        'device_class': 'timestamp'
+      }])
+    ];
+
+    sensors.forEach(([key, config]) => {
+      const sensorId = `${objectId}_${key.replace(/[^a-zA-Z0-9_-]+/g, '_')}`;
+      this.publish(
+        `${this.settings.discoveryPrefix}/sensor/${sensorId}/config`,
+        JSON.stringify({ ...config, ...common, 'unique_id': sensorId }),
+        { qos: 1, retain: true }
+      );
+    });
+  }
+}
+
+module.exports = { MqttPublisher, getMqttSettings };
\ No newline at end of file
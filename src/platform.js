@@ -2,11 +2,41 @@
 
 'use strict';
 
+/**
+ * Node's path helpers, used to locate the history files.
+ */
+const path = require('path');
+
 /**
  * Import the accessory logic.
  * This class handles the actual solar calculations and HomeKit services for a specific location.
  */
-const { SuncalcAccessory } = require('./accessory');
+const { SENSOR_MODES, SuncalcAccessory } = require('./accessory');
+
+/**
+ * Up-front config checks, so one broken instance never takes down the others.
+ */
+const { validateInstanceConfig, normalizeInstanceConfig } = require('./validation');
+
+/**
+ * Offline place-name and postcode lookup for instance locations.
+ */
+const { resolveLocation } = require('./gazetteer');
+
+/**
+ * Optional read-only HTTP API exposing the computed timelines.
+ */
+const { HttpApi, getHttpApiSettings } = require('./server');
+
+/**
+ * Optional MQTT publisher (retained state topics, transition events, HA discovery).
+ */
+const { MqttPublisher, getMqttSettings } = require('./mqtt');
+
+/**
+ * Optional transition history (daily JSON-lines files in the Homebridge storage path).
+ */
+const { HistoryStore, getHistorySettings } = require('./history');
 
 /**
  * Plugin Constants
@@ -45,11 +75,14 @@ class Suncalc2Platform {
      */
     this.api.on('didFinishLaunching', async() => {
       this.log.debug('didFinishLaunching event occurred');
+      this._startHistory();
       try {
         await this._reconcileAccessories();
       } catch (err) {
         this.log.error('Error during platform launch:', err);
       }
+      await this._startHttpApi();
+      this._startMqtt();
     });
   }
 
@@ -75,22 +108,87 @@ class Suncalc2Platform {
    */
   async _reconcileAccessories() {
     // Standardize config: Support a single object config OR the 'instances' array pattern.
-    const configs = Array.isArray(this.config.instances) ?
+    const instanceConfigs = Array.isArray(this.config.instances) ?
       this.config.instances :
       [this.config];
 
+    // Locations given by place name or postcode are replaced by their coordinates, and
+    // numeric-string coordinates become numbers
+    const locations = instanceConfigs.map((instanceConfig, index) =>
+      this._resolveLocation(instanceConfig, index)
+    );
+    const configs = locations.map(location => normalizeInstanceConfig(location.config));
+
     // Used to track which cached accessories should survive this run
     const keepUuids = new Set();
 
+    // Validate every instance before any accessory is created
+    const configErrors = this._validateInstances(configs);
+
+    // Accessories linked to a configured id belong to that instance, whatever its name
+    const configuredIds = new Set(configs
+      .map(instanceConfig => typeof instanceConfig?.id === 'string' && instanceConfig.id.trim())
+      .filter(Boolean));
+
     for (const [index, instanceConfig] of configs.entries()) {
       // 1. Identify the instance name (defaults to Suncalc-1, Suncalc-2, etc.)
-      const baseName = instanceConfig.name ?? `Suncalc-${index + 1}`;
+      const baseName = instanceConfig?.name ?? `Suncalc-${index + 1}`;
+
+      // Invalid instances are skipped, but their cached accessory is kept (so fixing the
+      // config restores it with its HomeKit automations intact)
+      if (configErrors[index].length) {
+        configErrors[index].forEach(message => {
+          this.log.error(`Instance '${baseName}' (#${index + 1}): ${message}`);
+        });
+        this.log.error(`Instance '${baseName}' (#${index + 1}) is SKIPPED until fixed.`);
+
+        if (instanceConfig && typeof instanceConfig === 'object') {
+          const id = typeof instanceConfig.id === 'string' ? instanceConfig.id.trim() : '';
+          const uuid = this._resolveAccessoryUuid(id, baseName, configuredIds);
+          if (uuid && !keepUuids.has(uuid) && this.platformAccessories.has(uuid)) {
+            keepUuids.add(uuid);
+
+            // Split-layout phase accessories belong to the instance too
+            for (const [phaseUuid, cached] of this.platformAccessories.entries()) {
+              if (cached.context?.parent === uuid) {
+                keepUuids.add(phaseUuid);
+              }
+            }
+          }
+        }
+        continue;
+      }
+
+      // 2. Resolve a stable, deterministic UUID from the optional id (or the name).
+      // This links the instance in config.json to the same HomeKit ID every time.
+      const id = typeof instanceConfig.id === 'string' ? instanceConfig.id.trim() : '';
+      const uuid = this._resolveAccessoryUuid(id, baseName, configuredIds);
+      if (!uuid) {
+        this.log.error(
+          `Instance '${baseName}' has no id, but the accessory created for this name now ` +
+          'belongs to an instance with an id (it was renamed). It is SKIPPED until it has ' +
+          'a different name or its own id.'
+        );
+        continue;
+      }
 
-      // 2. Generate a stable, deterministic UUID.
-      // This links the name in config.json to the same HomeKit ID every time.
-      const uuid = this.api.hap.uuid.generate(`${PLUGIN_NAME}:${baseName}`);
+      // Two instances resolving to the same accessory would fight over its services
+      if (keepUuids.has(uuid)) {
+        this.log.error(
+          `Instance '${baseName}' resolves to the same accessory as another instance ` +
+          `(duplicate ${id ? `id '${id}'` : 'name'}). It is SKIPPED until every instance ` +
+          'has a unique name or id.'
+        );
+        continue;
+      }
       keepUuids.add(uuid);
 
+      // The resolved place is kept with the accessory, so it can be inspected later
+      const { query, place } = locations[index];
+      const resolvedPlace = place ?
+        { query, name: place.name, lat: place.lat, lon: place.lon, timeZone: place.timeZone } :
+        undefined;
+
       let accessory = this.platformAccessories.get(uuid);
 
       if (accessory) {
@@ -106,8 +204,16 @@ class Suncalc2Platform {
           accessory._instance = null;
         }
 
+        // An instance with an id keeps its accessory when renamed
+        if (accessory.displayName !== baseName) {
+          this.log.info(`Renaming accessory: ${accessory.displayName} → ${baseName}`);
+          accessory.updateDisplayName(baseName);
+        }
+
         // Pass the latest config into the accessory context for persistence.
         accessory.context.config = instanceConfig;
+        accessory.context.id = id || undefined;
+        accessory.context.place = resolvedPlace;
         this.api.updatePlatformAccessories([accessory]);
       } else {
         /**
@@ -115,25 +221,12 @@ class Suncalc2Platform {
          */
         this.log.info(`Creating new accessory: ${baseName}`);
 
-        const accessoryName = `${baseName}`;
-        // eslint-disable-next-line new-cap
-        accessory = new this.api.platformAccessory(accessoryName, uuid);
-
         // Save config to context so it survives a Homebridge restart.
-        accessory.context.config = instanceConfig;
-        this.platformAccessories.set(uuid, accessory);
-
-        try {
-          // Officially register the new accessory with the HomeKit bridge.
-          this.api.registerPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [accessory]);
-        } catch (err) {
-          // Guard against "Already Bridged" errors if cache and bridge fall out of sync.
-          if (err.message.includes('already bridged')) {
-            this.log.debug(`Accessory already bridged, skipping registration step`);
-          } else {
-            this.log.error(`Error during accessory registration: ${err.message}`);
-          }
-        }
+        accessory = this._createAccessory(`${baseName}`, uuid, {
+          config: instanceConfig,
+          id: id || undefined,
+          place: resolvedPlace
+        });
       }
 
       /**
@@ -142,12 +235,22 @@ class Suncalc2Platform {
        * We store this on the accessory object as `_instance`.
        */
       if (!accessory._instance) {
-        accessory._instance = new SuncalcAccessory(
-          this.log,
-          instanceConfig,
-          this.api,
-          accessory
-        );
+        try {
+          accessory._instance = new SuncalcAccessory(
+            this.log,
+            instanceConfig,
+            this.api,
+            accessory,
+            {
+              // Split layout: every phase gets its own accessory, derived from this one
+              getPhaseAccessory: (key, name) =>
+                this._preparePhaseAccessory(accessory, key, name, keepUuids),
+              history: this.history
+            }
+          );
+        } catch (err) {
+          this.log.error(`Instance '${baseName}' (#${index + 1}) failed to start: ${err.message}`);
+        }
       }
     }
 
@@ -173,6 +276,161 @@ class Suncalc2Platform {
     }
   }
 
+  /**
+   * Internal Method: createAccessory
+   * Creates a new accessory and registers it with the HomeKit bridge.
+   * @param {string} name - The accessory's display name.
+   * @param {string} uuid - The accessory's UUID.
+   * @param {Object} context - Initial persistent context.
+   * @returns {PlatformAccessory}
+   */
+  _createAccessory(name, uuid, context) {
+    // eslint-disable-next-line new-cap
+    const accessory = new this.api.platformAccessory(name, uuid);
+    Object.assign(accessory.context, context);
+    this.platformAccessories.set(uuid, accessory);
+
+    try {
+      // Officially register the new accessory with the HomeKit bridge.
+      this.api.registerPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [accessory]);
+    } catch (err) {
+      // Guard against "Already Bridged" errors if cache and bridge fall out of sync.
+      if (err.message.includes('already bridged')) {
+        this.log.debug(`Accessory already bridged, skipping registration step`);
+      } else {
+        this.log.error(`Error during accessory registration: ${err.message}`);
+      }
+    }
+    return accessory;
+  }
+
+  /**
+   * Internal Method: preparePhaseAccessory
+   * Reuses or creates the separate accessory of one phase (split layout).
+   * Its UUID is derived from the instance's accessory, so it is as stable as the instance.
+   * @param {PlatformAccessory} parent - The instance's own accessory.
+   * @param {string} key - The phase's event key (e.g. 'sunset').
+   * @param {string} name - The accessory's display name.
+   * @param {Set<string>} keepUuids - Accessories that survive this run; the phase is added.
+   * @returns {PlatformAccessory}
+   */
+  _preparePhaseAccessory(parent, key, name, keepUuids) {
+    const uuid = this.api.hap.uuid.generate(`${parent.UUID}:${key}`);
+    keepUuids.add(uuid);
+
+    let accessory = this.platformAccessories.get(uuid);
+    if (accessory) {
+      if (accessory.displayName !== name) {
+        accessory.updateDisplayName(name);
+        this.api.updatePlatformAccessories([accessory]);
+      }
+    } else {
+      this.log.info(`Creating new accessory: ${name}`);
+      accessory = this._createAccessory(name, uuid, { parent: parent.UUID, key });
+    }
+    return accessory;
+  }
+
+  /**
+   * Internal Method: resolveLocation
+   * Resolves an instance located by place name or postcode against the offline gazetteer, and
+   * logs the place that was matched (and the other candidates when the name is ambiguous).
+   * Places that match nothing are left to the validation, which reports them.
+   * @param {Object} instanceConfig - One entry of 'instances'.
+   * @param {number} index - Its position, for the default name.
+   * @returns {{config: Object, query: string|null, place: Object|null, alternatives: string[]}}
+   */
+  _resolveLocation(instanceConfig, index) {
+    const resolved = resolveLocation(instanceConfig);
+    const { config, query, place, alternatives } = resolved;
+
+    if (place) {
+      const baseName = config.name ?? `Suncalc-${index + 1}`;
+      this.log.info(
+        `Instance '${baseName}': location '${query}' matched ${place.name} ` +
+        `(${place.lat}, ${place.lon}, ${config.timeZone})`
+      );
+      if (alternatives.length) {
+        this.log.info(
+          `Instance '${baseName}': location '${query}' also matches ${alternatives.join('; ')}. ` +
+          'Add a region or country to pick another, or set lat and lon.'
+        );
+      }
+    }
+    return resolved;
+  }
+
+  /**
+   * Internal Method: validateInstances
+   * Checks each instance's settings and that names and ids are unique.
+   * @param {Object[]} configs - The instance configs.
+   * @returns {string[][]} - The problems found, per instance (empty lists when valid).
+   */
+  _validateInstances(configs) {
+    const modes = [...Object.keys(SENSOR_MODES), 'custom'];
+    const seenNames = new Map();
+    const seenIds = new Map();
+
+    return configs.map((instanceConfig, index) => {
+      const errors = validateInstanceConfig(instanceConfig, modes);
+      if (!instanceConfig || typeof instanceConfig !== 'object') {
+        return errors;
+      }
+
+      const name = instanceConfig.name ?? `Suncalc-${index + 1}`;
+      if (seenNames.has(name)) {
+        errors.push(`name '${name}' is already used by instance #${seenNames.get(name) + 1}`);
+      } else {
+        seenNames.set(name, index);
+      }
+
+      const id = instanceConfig.id;
+      if (id !== undefined && (typeof id !== 'string' || !id.trim())) {
+        errors.push(`id must be a non-empty string (got ${JSON.stringify(id)})`);
+      } else if (id !== undefined && seenIds.has(id.trim())) {
+        errors.push(`id '${id.trim()}' is already used by instance #${seenIds.get(id.trim()) + 1}`);
+      } else if (id !== undefined) {
+        seenIds.set(id.trim(), index);
+      }
+
+      return errors;
+    });
+  }
+
+  /**
+   * Internal Method: resolveAccessoryUuid
+   * Instances without an id keep the name-based UUID used by earlier versions, unless that
+   * accessory is linked to an id that is still configured (its instance was renamed).
+   * Instances with an id reuse the accessory already linked to that id (so renaming is safe);
+   * the first time an id is added, the existing name-based accessory is adopted instead of
+   * creating a new one, which keeps HomeKit automations intact.
+   * @param {string} id - The instance's immutable id ('' if not set).
+   * @param {string} baseName - The instance name.
+   * @param {Set<string>} configuredIds - The ids of every configured instance.
+   * @returns {string|null} - The accessory UUID, or null if it belongs to another instance.
+   */
+  _resolveAccessoryUuid(id, baseName, configuredIds) {
+    const nameUuid = this.api.hap.uuid.generate(`${PLUGIN_NAME}:${baseName}`);
+    if (!id) {
+      const linkedId = this.platformAccessories.get(nameUuid)?.context?.id;
+      return linkedId && configuredIds.has(linkedId) ? null : nameUuid;
+    }
+
+    for (const [uuid, accessory] of this.platformAccessories.entries()) {
+      if (accessory.context?.id === id) {
+        return uuid;
+      }
+    }
+
+    const legacyAccessory = this.platformAccessories.get(nameUuid);
+    if (legacyAccessory && !legacyAccessory.context?.id) {
+      this.log.info(`[${baseName}] Linking existing accessory to id '${id}'`);
+      return nameUuid;
+    }
+
+    return this.api.hap.uuid.generate(`${PLUGIN_NAME}:id:${id}`);
+  }
+
   /**
    * Internal Method: shutdown
    * Gracefully stops all active solar calculation timers when Homebridge closes.
@@ -183,6 +441,89 @@ class Suncalc2Platform {
         accessory._instance.cleanup();
       }
     }
+    if (this.httpApi) {
+      this.httpApi.stop();
+      this.httpApi = null;
+    }
+    if (this.mqtt) {
+      this.mqtt.stop();
+      this.mqtt = null;
+    }
+  }
+
+  /**
+   * Internal Method: startHttpApi
+   * Starts the optional HTTP API ('httpApi' in config.json). A port that is already in use
+   * is logged and otherwise ignored, so the sensors keep working.
+   */
+  async _startHttpApi() {
+    const settings = getHttpApiSettings(this.config.httpApi);
+    if (!settings.enabled || this.httpApi) {
+      return;
+    }
+
+    this.httpApi = new HttpApi(
+      this.log,
+      settings,
+      () => [...this.platformAccessories.values()]
+        .map(accessory => accessory._instance)
+        .filter(Boolean),
+      this.history
+    );
+    try {
+      await this.httpApi.start();
+    } catch (err) {
+      this.log.error(
+        `HTTP API could not listen on ${settings.host}:${settings.port}: ${err.message}`
+      );
+      this.httpApi = null;
+    }
+  }
+
+  /**
+   * Internal Method: startHistory
+   * Creates the optional history store ('history' in config.json) before the instances start,
+   * so their startup state is recorded too.
+   */
+  _startHistory() {
+    const settings = getHistorySettings(this.config.history);
+    if (!settings.enabled || this.history) {
+      return;
+    }
+
+    const storagePath = this.api.user?.storagePath();
+    if (!storagePath) {
+      this.log.error('History is disabled: the Homebridge storage path is not available');
+      return;
+    }
+    this.history = new HistoryStore(
+      this.log,
+      path.join(storagePath, 'suncalc-history'),
+      settings
+    );
+  }
+
+  /**
+   * Internal Method: startMqtt
+   * Starts the optional MQTT publisher ('mqtt' in config.json) for every running instance.
+   */
+  _startMqtt() {
+    const settings = getMqttSettings(this.config.mqtt);
+    if (!settings.enabled || this.mqtt) {
+      return;
+    }
+
+    this.mqtt = new MqttPublisher(this.log, settings, () =>
+      [...this.platformAccessories.values()]
+        .map(accessory => accessory._instance)
+        .filter(Boolean)
+    );
+    try {
+      this.mqtt.start();
+    } catch (err) {
+      this.log.error(`MQTT could not start: ${err.message}`);
+      this.mqtt = null;
+    }
   }
 }
 
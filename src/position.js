@@ -0,0 +1,113 @@
+// src/position.js
+
+'use strict';
+
+/**
+ * Required dependency: suncalc
+ * Used to calculate the live position of the sun for a given time and location.
+ */
+const suncalc = require('suncalc');
+
+/**
+ * Conversion factor between radians (used by suncalc) and degrees (used in config and HomeKit).
+ */
+const DEGREES_PER_RADIAN = 180 / Math.PI;
+
+/**
+ * Calculates where the sun is in the sky.
+ * suncalc reports azimuth in radians measured from south (west positive); this converts it to
+ * a compass bearing (0° = north, 90° = east) so it matches how users describe their location.
+ * @param {Date} date - The moment to calculate the position for.
+ * @param {number} lat - Latitude in degrees.
+ * @param {number} lon - Longitude in degrees.
+ * @returns {{altitude: number, azimuth: number}} - Altitude above the horizon and compass
+ * bearing, both in degrees.
+ */
+function getSunPosition(date, lat, lon) {
+  const position = suncalc.getPosition(date, lat, lon);
+
+  const altitude = position.altitude * DEGREES_PER_RADIAN;
+  const azimuth = ((position.azimuth * DEGREES_PER_RADIAN) + 180 + 360) % 360;
+
+  return { altitude, azimuth };
+}
+
+/**
+ * Interpolates the obstruction altitude (hills, buildings, trees) at a compass bearing.
+ * The profile is a list of { azimuth, altitude } points; values between points are linear,
+ * and the profile wraps around north so the last point connects back to the first.
+ * @param {Array<{azimuth: number, altitude: number}>} profile - Horizon points in degrees.
+ * @param {number} azimuth - Compass bearing in degrees.
+ * @returns {number} - Obstruction altitude in degrees (-Infinity when there is no profile).
+ */
+function getHorizonAltitude(profile, azimuth) {
+  if (!Array.isArray(profile) || !profile.length) {
+    return -Infinity;
+  }
+  if (profile.length === 1) {
+    return profile[0].altitude;
+  }
+
+  const points = [...profile].sort((a, b) => a.azimuth - b.azimuth);
+  for (let i = 0; i < points.length; i++) {
+    const from = points[i];
+    const to = points[(i + 1) % points.length];
+    const span = ((to.azimuth - from.azimuth + 360) % 360) || 360;
+    const offset = (azimuth - from.azimuth + 360) % 360;
+
+    if (offset <= span) {
+      return from.altitude + ((to.altitude - from.altitude) * (offset / span));
+    }
+  }
+  return points[0].altitude;
+}
+
+/**
+ * Measures how far (in degrees) a bearing lies inside a clockwise azimuth range.
+ * Positive values are inside the range, negative values are outside; the magnitude is the
+ * distance to the nearest edge. Ranges may wrap around north (e.g. 300° to 60°).
+ * @param {number} azimuth - Compass bearing in degrees.
+ * @param {number} from - Start of the range in degrees.
+ * @param {number} to - End of the range in degrees (clockwise from the start).
+ * @returns {number}
+ */
+function getAzimuthDepth(azimuth, from, to) {
+  const span = (to - from + 360) % 360;
+  if (span === 0) {
+    return Infinity; // A zero-width range means the whole horizon
+  }
+
+  const offset = (azimuth - from + 360) % 360;
+  return offset <= span ?
+    Math.min(offset, span - offset) :
+    -Math.min(offset - span, 360 - offset);
+}
+
+/**
+ * Decides whether direct sun can reach a window or façade.
+ * Hysteresis keeps the sensor from flapping at the boundary: an exposed window only turns
+ * off once the sun is `hysteresis` degrees outside its limits, and an unexposed window only
+ * turns on once the sun is `hysteresis` degrees inside them.
+ * @param {Object} window - Normalized window settings (azimuthFrom, azimuthTo, minAltitude,
+ * maxAltitude, horizon, hysteresis).
+ * @param {{altitude: number, azimuth: number}} position - Current sun position in degrees.
+ * @param {boolean} wasExposed - The window's previous state.
+ * @returns {boolean}
+ */
+function isWindowExposed(window, position, wasExposed) {
+  const margin = wasExposed ? -window.hysteresis : window.hysteresis;
+
+  const minAltitude = Math.max(
+    window.minAltitude,
+    getHorizonAltitude(window.horizon, position.azimuth)
+  );
+  const altitudeDepth = Math.min(
+    position.altitude - minAltitude,
+    window.maxAltitude - position.altitude
+  );
+  const azimuthDepth = getAzimuthDepth(position.azimuth, window.azimuthFrom, window.azimuthTo);
+
+  return altitudeDepth >= margin && azimuthDepth >= margin;
+}
+
+module.exports = { getSunPosition, isWindowExposed };
\ No newline at end of file
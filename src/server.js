@@ -0,0 +1,282 @@
+// src/server.js
+
+'use strict';
+
+/**
+ * Node's built-in HTTP server; no extra dependency is needed for a small JSON API.
+ */
+const http = require('http');
+
+/**
+ * Wall-clock helper, used to resolve '?date=YYYY-MM-DD' in each instance's time zone.
+ */
+const { zonedTimeToDate } = require('./timezone');
+
+/**
+ * Defaults for the optional HTTP API (disabled unless enabled in config.json).
+ * The server only listens on the local machine unless a host such as '0.0.0.0' is set.
+ */
+const HTTP_DEFAULTS = {
+  host: '127.0.0.1',
+  port: 8765
+};
+
+/**
+ * Helper: Normalizes the platform-level 'httpApi' settings.
+ * @param {Object} [apiConfig] - The 'httpApi' object from config.json.
+ * @returns {{enabled: boolean, host: string, port: number}}
+ */
+function getHttpApiSettings(apiConfig) {
+  const port = Number(apiConfig?.port);
+
+  return {
+    enabled: apiConfig?.enabled === true,
+    host: typeof apiConfig?.host === 'string' && apiConfig.host.trim() ?
+      apiConfig.host.trim() :
+      HTTP_DEFAULTS.host,
+    port: Number.isInteger(port) && port >= 0 && port <= 65535 ? port : HTTP_DEFAULTS.port
+  };
+}
+
+/**
+ * Helper: Resolves the '?date=' query parameter for an instance.
+ * A plain date (YYYY-MM-DD) means noon on that day in the instance's time zone; anything else
+ * is parsed as a moment (e.g. '2024-03-20T18:00:00Z').
+ * @param {string} value - The query parameter.
+ * @param {string} timeZone - The instance's time zone.
+ * @returns {Date|null} - null if the value is not a valid date.
+ */
+function parseDateParam(value, timeZone) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const date = match ?
+    zonedTimeToDate(Number(match[1]), Number(match[2]), Number(match[3]), 12, 0, timeZone) :
+    new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Helper: Escapes a Prometheus label value.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Helper: Renders instance snapshots in the Prometheus text exposition format.
+ * @param {Object[]} snapshots - Results of SuncalcAccessory.getSnapshot().
+ * @returns {string}
+ */
+function formatMetrics(snapshots) {
+  const metrics = [
+    ['suncalc_event_timestamp_seconds', 'Today\'s adjusted event time (Unix time).'],
+    ['suncalc_phase_active', 'Whether the solar phase is currently active (1) or not (0).'],
+    ['suncalc_next_transition_seconds', 'Seconds until the next solar transition.'],
+    ['suncalc_sun_altitude_degrees', 'Current sun altitude above the horizon.']
+  ];
+  const lines = Object.fromEntries(metrics.map(([name]) => [name, []]));
+
+  snapshots.forEach(snapshot => {
+    const instance = `instance="${escapeLabel(snapshot.name)}"`;
+
+    snapshot.events.forEach(event => {
+      const labels = `{${instance},event="${escapeLabel(event.key)}"}`;
+      if (event.time) {
+        lines.suncalc_event_timestamp_seconds.push(
+          `suncalc_event_timestamp_seconds${labels} ${Math.floor(Date.parse(event.time) / 1000)}`
+        );
+      }
+      lines.suncalc_phase_active.push(
+        `suncalc_phase_active${labels} ${snapshot.active?.key === event.key ? 1 : 0}`
+      );
+    });
+    if (snapshot.next) {
+      lines.suncalc_next_transition_seconds.push(
+        `suncalc_next_transition_seconds{${instance}} ${snapshot.next.inSeconds}`
+      );
+    }
+    lines.suncalc_sun_altitude_degrees.push(
+      `suncalc_sun_altitude_degrees{${instance}} ${snapshot.sunAltitude}`
+    );
+  });
+
+  return metrics
+    .flatMap(([name, help]) => [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, ...lines[name]])
+    .join('\n') + '\n';
+}
+
+/**
+ * Read-only HTTP API exposing what the plugin computed.
+ * Endpoints:
+ *   GET /api/instances            - Every instance (optionally '?date=').
+ *   GET /api/instances/:nameOrId  - One instance (optionally '?date=').
+ *   GET /api/history              - Recorded history, newest first (optionally '?instance=',
+ *                                   '?type=', '?event=', '?since=', '?until=', '?limit=').
+ *   GET /metrics                  - Prometheus metrics for every instance.
+ */
+class HttpApi {
+  /**
+   * @param {Object} log - Homebridge logger.
+   * @param {{host: string, port: number}} settings - Normalized 'httpApi' settings.
+   * @param {function(): SuncalcAccessory[]} getInstances - Returns the running instances.
+   * @param {HistoryStore} [history] - The history store, if history is enabled.
+   */
+  constructor(log, settings, getInstances, history) {
+    this.log = log;
+    this.settings = settings;
+    this.getInstances = getInstances;
+    this.history = history || null;
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+  }
+
+  /**
+   * Starts listening on the configured host and port.
+   * @returns {Promise<void>}
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.settings.port, this.settings.host, () => {
+        this.server.off('error', reject);
+        const { address, port } = this.server.address();
+        this.log.info(`HTTP API listening on http://${address}:${port}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stops the server.
+   */
+  stop() {
+    this.server.close();
+  }
+
+  /**
+   * Routes a request and writes the response.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  handleRequest(req, res) {
+    if (req.method !== 'GET') {
+      this.sendJson(res, 405, { error: 'Only GET requests are supported' });
+      return;
+    }
+
+    let url;
+    let parts;
+    try {
+      url = new URL(req.url, 'http://localhost');
+      parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch {
+      // e.g. '//' (parsed as an empty host) or a bad percent-encoding
+      this.sendJson(res, 400, { error: `Malformed path: ${req.url}` });
+      return;
+    }
+
+    if (parts.length === 2 && parts[0] === 'api' && parts[1] === 'history') {
+      this.handleHistoryRequest(url, res);
+      return;
+    }
+
+    try {
+      const instances = this.getInstances();
+
+      if (parts.length === 1 && parts[0] === 'metrics') {
+        const snapshots = instances.map(instance => instance.getSnapshot());
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(formatMetrics(snapshots));
+        return;
+      }
+
+      if (parts[0] !== 'api' || parts[1] !== 'instances' || parts.length > 3) {
+        this.sendJson(res, 404, { error: `Unknown endpoint: ${url.pathname}` });
+        return;
+      }
+
+      const selected = parts.length === 3 ?
+        instances.filter(instance =>
+          instance.platformName === parts[2] || instance.instanceId === parts[2]
+        ) :
+        instances;
+      if (parts.length === 3 && !selected.length) {
+        this.sendJson(res, 404, { error: `Unknown instance: ${parts[2]}` });
+        return;
+      }
+
+      const dateParam = url.searchParams.get('date');
+      const snapshots = [];
+      for (const instance of selected) {
+        // Without a date, each instance describes its own clock (which may be simulated)
+        const timeZone = instance.timeFormatter.timeZone;
+        const date = dateParam ? parseDateParam(dateParam, timeZone) : undefined;
+        if (date === null) {
+          this.sendJson(res, 400, { error: `Invalid date: ${dateParam}` });
+          return;
+        }
+        snapshots.push(instance.getSnapshot(date));
+      }
+
+      this.sendJson(res, 200, parts.length === 3 ? snapshots[0] : snapshots);
+    } catch (err) {
+      this.log.error(`HTTP API request failed (${req.url}): ${err.message}`);
+      this.sendJson(res, 500, { error: 'Internal error' });
+    }
+  }
+
+  /**
+   * Answers a history query.
+   * @param {URL} url - The request URL (filters are query parameters).
+   * @param {http.ServerResponse} res
+   */
+  async handleHistoryRequest(url, res) {
+    if (!this.history) {
+      this.sendJson(res, 404, { error: 'History is not enabled' });
+      return;
+    }
+
+    const params = url.searchParams;
+    const filter = {
+      instance: params.get('instance') || undefined,
+      type: params.get('type') || undefined,
+      event: params.get('event') || undefined
+    };
+    for (const name of ['since', 'until']) {
+      if (params.get(name)) {
+        filter[name] = new Date(params.get(name));
+        if (Number.isNaN(filter[name].getTime())) {
+          this.sendJson(res, 400, { error: `Invalid ${name}: ${params.get(name)}` });
+          return;
+        }
+      }
+    }
+    if (params.get('limit')) {
+      filter.limit = Number(params.get('limit'));
+      if (!Number.isInteger(filter.limit) || filter.limit < 1 || filter.limit > 10000) {
+        this.sendJson(res, 400, { error: `Invalid limit: ${params.get('limit')}` });
+        return;
+      }
+    }
+
+    try {
+      this.sendJson(res, 200, await this.history.query(filter));
+    } catch (err) {
+      this.log.error(`HTTP API request failed (${url.pathname}): ${err.message}`);
+      this.sendJson(res, 500, { error: 'Internal error' });
+    }
+  }
+
+  /**
+   * Helper: Writes a JSON response.
+   * @param {http.ServerResponse} res
+   * @param {number} status - HTTP status code.
+   * @param {*} body - Data to serialize.
+   */
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body, null, 2));
+  }
+}
+
+module.exports = { HttpApi, getHttpApiSettings };
\ No newline at end of file
@@ -0,0 +1,397 @@
+// src/timeline.js
+
+'use strict';
+
+/**
+ * Required dependency: suncalc
+ * Used to calculate sunlight phases based on latitude/longitude.
+ */
+const suncalc = require('suncalc');
+
+/**
+ * Live sun position helper, used to model polar day/night.
+ */
+const { getSunPosition } = require('./position');
+
+/**
+ * Wall-clock helpers, used to apply notBefore/notAfter clamps in the instance's time zone.
+ */
+const { getZonedParts, zonedTimeToDate } = require('./timezone');
+
+/**
+ * Metadata mapping for the 14 solar phases provided by suncalc.
+ * Used to generate human-readable names and descriptions for HomeKit sensors.
+ */
+const SUN_TIMES_META = {
+  nightEnd: { name: 'Morning Twilight', description: 'Astronomical twilight starts' },
+  nauticalDawn: { name: 'Nautical Dawn', description: 'Nautical twilight starts' },
+  dawn: { name: 'Civil Dawn', description: 'Civil twilight starts' },
+  sunrise: { name: 'First Light', description: 'Sun starts appearing' },
+  sunriseEnd: { name: 'Morning Golden Hour', description: 'Sun is up, golden hour starts' },
+  goldenHourEnd: { name: 'Daytime', description: 'Golden hour ends, full day starts' },
+  solarNoon: { name: 'Solar Noon', description: 'Sun at highest point' },
+  goldenHour: { name: 'Evening Golden Hour', description: 'Evening golden hour starts' },
+  sunsetStart: { name: 'Sunset', description: 'Sun starts setting' },
+  sunset: { name: 'Evening Twilight', description: 'Sun below horizon' },
+  dusk: { name: 'Civil Dusk', description: 'Civil twilight ends' },
+  nauticalDusk: { name: 'Nautical Dusk', description: 'Nautical twilight ends' },
+  night: { name: 'Nightfall', description: 'Astronomical twilight ends' },
+  nadir: { name: 'Deepest Night', description: 'Darkest part of the night' }
+};
+
+/**
+ * Sun altitude (in degrees) and direction at which each suncalc phase starts.
+ * Used to work out the active phase on polar days, when some events do not happen at all.
+ */
+const SUN_TIMES_ANGLES = {
+  nightEnd: { angle: -18, rising: true },
+  nauticalDawn: { angle: -12, rising: true },
+  dawn: { angle: -6, rising: true },
+  sunrise: { angle: -0.833, rising: true },
+  sunriseEnd: { angle: -0.3, rising: true },
+  goldenHourEnd: { angle: 6, rising: true },
+  goldenHour: { angle: 6, rising: false },
+  sunsetStart: { angle: -0.3, rising: false },
+  sunset: { angle: -0.833, rising: false },
+  dusk: { angle: -6, rising: false },
+  nauticalDusk: { angle: -12, rising: false },
+  night: { angle: -18, rising: false }
+};
+
+/**
+ * Aggregate sensors spanning several phases.
+ * Each one is active from its 'start' event until its 'end' event, using suncalc's raw times
+ * so its boundaries never depend on which phase sensors are enabled or offset.
+ * 'angle'/'above' describe the same condition as a sun altitude, which decides the state on
+ * polar days when neither boundary happens at all.
+ */
+const AGGREGATE_META = {
+  daylight: { name: 'Daylight', start: 'sunrise', end: 'sunset', angle: -0.833, above: true },
+  civilDark: { name: 'Civil Dark', start: 'dusk', end: 'dawn', angle: -6, above: false },
+  nauticalDark: {
+    name: 'Nautical Dark',
+    start: 'nauticalDusk',
+    end: 'nauticalDawn',
+    angle: -12,
+    above: false
+  },
+  astronomicalDark: {
+    name: 'Astronomical Dark',
+    start: 'night',
+    end: 'nightEnd',
+    angle: -18,
+    above: false
+  }
+};
+
+/**
+ * Polar states reported alongside the timeline.
+ */
+const POLAR_STATES = {
+  normal: 'Normal',
+  midnightSun: 'Midnight Sun',
+  polarNight: 'Polar Night'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Sun altitude (in degrees) used by suncalc for sunrise and sunset.
+ */
+const SUNRISE_ANGLE = -0.833;
+
+/**
+ * Registry of altitude angles already added to suncalc.
+ * suncalc.addTime() appends to a module-wide list, so each angle is only registered once
+ * no matter how many instances (or reloads) ask for it.
+ * @type {Map<number, {rise: string, set: string}>}
+ */
+const registeredAltitudes = new Map();
+
+/**
+ * Helper: Registers a custom sun altitude with suncalc and returns the result keys it produces.
+ * @param {number} angle - Sun altitude in degrees.
+ * @returns {{rise: string, set: string}} - The keys suncalc.getTimes() will use for this angle.
+ */
+function registerAltitude(angle) {
+  if (!registeredAltitudes.has(angle)) {
+    const names = { rise: `altitude:${angle}:rise`, set: `altitude:${angle}:set` };
+    suncalc.addTime(angle, names.rise, names.set);
+    registeredAltitudes.set(angle, names);
+  }
+  return registeredAltitudes.get(angle);
+}
+
+/**
+ * Helper: Checks for a usable date (suncalc returns Invalid Date for events that do not
+ * happen, e.g. sunset during polar day).
+ * @param {*} date
+ * @returns {boolean}
+ */
+function isValidDate(date) {
+  return date instanceof Date && !isNaN(date);
+}
+
+/**
+ * Helper: Returns a copy of the suncalc results with each event shifted by its offset.
+ * Invalid dates (e.g. no sunset during polar day) are passed through untouched.
+ * @param {Object<string, Date>} sunDates - Raw results from suncalc.getTimes().
+ * @param {Object<string, number>} offsets - Offsets in minutes, keyed by suncalc key.
+ * @returns {Object<string, Date>} - The adjusted event times.
+ */
+function applyEventOffsets(sunDates, offsets) {
+  const adjusted = { ...sunDates };
+
+  for (const [key, minutes] of Object.entries(offsets)) {
+    const date = adjusted[key];
+    if (isValidDate(date) && minutes) {
+      adjusted[key] = new Date(date.getTime() + (minutes * 60 * 1000));
+    }
+  }
+  return adjusted;
+}
+
+/**
+ * Helper: Orders two timeline entries chronologically.
+ * Events that land on the same instant (e.g. an offset pushed one onto its neighbour)
+ * keep their configured order, so the active window is always deterministic.
+ * @param {[string, Date]} a
+ * @param {[string, Date]} b
+ * @param {string[]} order - Event keys in their natural solar order.
+ * @returns {number}
+ */
+function compareTimelineEntries(a, b, order) {
+  return (a[1] - b[1]) || (order.indexOf(a[0]) - order.indexOf(b[0]));
+}
+
+/**
+ * Helper: Clamps events to the configured earliest/latest clock times.
+ * Rules are applied in order; notBefore is checked before notAfter, so notAfter wins when a
+ * rule's bounds conflict. Clock times and weekdays are evaluated in the given time zone.
+ * @param {Object<string, Date>} adjusted - Offset-adjusted times; updated in place.
+ * @param {Object[]} clamps - Normalized rules ({ event, notBefore, notAfter, days }), where
+ * bounds are { hour, minute } and days is a list of weekday numbers (0 = Sunday) or null.
+ * @param {string} [timeZone] - IANA time zone; host zone if omitted.
+ * @returns {Object[]} - The clamps that changed an event ({ key, from, to, bound }).
+ */
+function applyEventClamps(adjusted, clamps, timeZone) {
+  const applied = [];
+
+  clamps.forEach(rule => {
+    const date = adjusted[rule.event];
+    if (!isValidDate(date)) {
+      return;
+    }
+
+    const local = getZonedParts(date, timeZone);
+    if (rule.days && !rule.days.includes(local.weekday)) {
+      return;
+    }
+
+    const boundDate = bound =>
+      zonedTimeToDate(local.year, local.month, local.day, bound.hour, bound.minute, timeZone);
+
+    let clamped = date;
+    let boundName = null;
+    if (rule.notBefore && clamped < boundDate(rule.notBefore)) {
+      clamped = boundDate(rule.notBefore);
+      boundName = 'notBefore';
+    }
+    if (rule.notAfter && clamped > boundDate(rule.notAfter)) {
+      clamped = boundDate(rule.notAfter);
+      boundName = 'notAfter';
+    }
+
+    if (boundName) {
+      adjusted[rule.event] = clamped;
+      applied.push({ key: rule.event, from: date, to: clamped, bound: boundName });
+    }
+  });
+
+  return applied;
+}
+
+/**
+ * Calculates one solar day's event times with the instance's adjustments applied.
+ * @param {Date} date - Any moment within the solar day.
+ * @param {Object} settings - Timeline settings (see buildTimeline).
+ * @returns {{raw: Object<string, Date>, adjusted: Object<string, Date>, clamps: Object[]}} -
+ * suncalc's raw results, the offset-adjusted and clamped times keyed by event key (custom
+ * thresholds included), and the clamps that were applied.
+ */
+function getDayTimes(date, settings) {
+  const raw = suncalc.getTimes(date, settings.lat, settings.lon);
+
+  const adjusted = applyEventOffsets(raw, settings.offsets || {});
+  (settings.thresholdEvents || []).forEach(event => {
+    adjusted[event.key] = raw[event.suncalcKey];
+  });
+
+  // Clamps are applied after offsets and before the events are sorted
+  const clamps = applyEventClamps(adjusted, settings.clamps || [], settings.timeZone);
+
+  return { raw, adjusted, clamps };
+}
+
+/**
+ * Helper: Lists a day's enabled events that actually happen, as [key, date] entries.
+ * @param {Object<string, Date>} adjusted - Adjusted times from getDayTimes().
+ * @param {string[]} eventKeys - The enabled event keys.
+ * @returns {Array<[string, Date]>}
+ */
+function getDayEvents(adjusted, eventKeys) {
+  return eventKeys
+    .filter(key => isValidDate(adjusted[key]))
+    .map(key => [key, adjusted[key]]);
+}
+
+/**
+ * Helper: Works out the active event when none of the enabled events happened in the last
+ * few days (polar day or night, e.g. no sunrise or sunset for weeks).
+ * suncalc models each day symmetrically around solar noon, so the last event it reports
+ * before a polar period is not reliable. Instead, the phase still in effect is the one whose
+ * altitude the sun crossed most recently: while the sun is descending that is the lowest
+ * setting angle still above it, while ascending the highest rising angle still below it.
+ * @param {number} altitude - Current sun altitude in degrees.
+ * @param {boolean} descending - Whether the sun is between solar noon and nadir.
+ * @param {Object} settings - Timeline settings (see buildTimeline).
+ * @returns {string|null} - The key of the phase in effect.
+ */
+function findPolarEvent(altitude, descending, settings) {
+  const angles = { ...SUN_TIMES_ANGLES };
+  (settings.thresholdEvents || []).forEach(event => {
+    angles[event.key] = { angle: event.angle, rising: event.rising };
+  });
+
+  const candidates = settings.eventKeys.filter(key => angles[key]);
+  const setting = candidates
+    .filter(key => !angles[key].rising && angles[key].angle > altitude)
+    .sort((a, b) => angles[a].angle - angles[b].angle);
+  const rising = candidates
+    .filter(key => angles[key].rising && angles[key].angle < altitude)
+    .sort((a, b) => angles[b].angle - angles[a].angle);
+
+  const ordered = descending ? [...setting, ...rising] : [...rising, ...setting];
+  return ordered[0] || null;
+}
+
+/**
+ * Helper: Classifies a solar day as normal, midnight sun or polar night.
+ * @param {Object<string, Date>} raw - Raw suncalc.getTimes() results for the day.
+ * @param {Object} settings - Timeline settings (see buildTimeline).
+ * @returns {string} - A key of POLAR_STATES.
+ */
+function getPolarState(raw, settings) {
+  if (isValidDate(raw.sunrise) || isValidDate(raw.sunset)) {
+    return 'normal';
+  }
+
+  const { altitude } = getSunPosition(raw.solarNoon, settings.lat, settings.lon);
+  return altitude > SUNRISE_ANGLE ? 'midnightSun' : 'polarNight';
+}
+
+/**
+ * Builds the solar timeline around a moment in time.
+ * Yesterday's, today's and tomorrow's events are stitched together, so the active period is
+ * simply the last event that already happened (correct before dawn and after midnight),
+ * and the next transition may be tomorrow's first event.
+ * @param {Date} now - The moment to evaluate.
+ * @param {Object} settings - { lat, lon, eventKeys, offsets, thresholdEvents, clamps,
+ * timeZone }.
+ * @returns {{
+ *   today: Object<string, Date>,
+ *   clamps: Object[],
+ *   rawDays: Object<string, Date>[],
+ *   events: Array<[string, Date]>,
+ *   active: [string, Date|null]|null,
+ *   next: [string, Date]|null,
+ *   polarState: string,
+ *   altitude: number
+ * }} - `today` holds today's adjusted times keyed by event key, `clamps` the clamps applied
+ * to them, `rawDays` suncalc's raw results for yesterday/today/tomorrow, and `altitude` the
+ * current sun altitude in degrees.
+ * On polar days the active event may have no date, as it last happened weeks ago.
+ */
+function buildTimeline(now, settings) {
+  const days = [-1, 0, 1].map(offset =>
+    getDayTimes(new Date(now.getTime() + (offset * DAY_MS)), settings)
+  );
+
+  const events = days
+    .flatMap(day => getDayEvents(day.adjusted, settings.eventKeys))
+    .sort((a, b) => compareTimelineEntries(a, b, settings.eventKeys));
+
+  const { altitude } = getSunPosition(now, settings.lat, settings.lon);
+  const past = events.filter(([, date]) => date <= now);
+  let active = past.length ? past[past.length - 1] : null;
+
+  if (!active) {
+    // Solar noon and nadir happen every day, even near the poles
+    const lastTurn = days
+      .flatMap(day => [['solarNoon', day.raw.solarNoon], ['nadir', day.raw.nadir]])
+      .filter(([, date]) => date <= now)
+      .sort((a, b) => a[1] - b[1])
+      .pop();
+    const polarKey = findPolarEvent(altitude, lastTurn?.[0] === 'solarNoon', settings);
+    active = polarKey ? [polarKey, null] : null;
+  }
+
+  return {
+    today: days[1].adjusted,
+    clamps: days[1].clamps,
+    rawDays: days.map(day => day.raw),
+    events,
+    active,
+    next: events.find(([, date]) => date > now) || null,
+    polarState: getPolarState(days[1].raw, settings),
+    altitude
+  };
+}
+
+/**
+ * Works out whether an aggregate sensor is active from its start/end events.
+ * Boundaries from yesterday, today and tomorrow are considered, so windows that cross
+ * midnight (like the dark periods) are handled without special cases. When no boundary
+ * happens at all (polar day or night), the current sun altitude decides.
+ * @param {Object} aggregate - An entry from AGGREGATE_META.
+ * @param {Object<string, Date>[]} days - Raw suncalc.getTimes() results for consecutive days.
+ * @param {Date} now - The moment to evaluate.
+ * @param {number} altitude - The current sun altitude in degrees.
+ * @returns {{active: boolean, upcoming: Date[]}} - `upcoming` holds future boundaries.
+ */
+function getAggregateState(aggregate, days, now, altitude) {
+  const boundaries = days
+    .flatMap(times => [
+      { active: true, date: times[aggregate.start] },
+      { active: false, date: times[aggregate.end] }
+    ])
+    .filter(boundary => isValidDate(boundary.date))
+    .sort((a, b) => a.date - b.date);
+
+  const past = boundaries.filter(boundary => boundary.date <= now);
+  const next = boundaries.find(boundary => boundary.date > now);
+
+  let active;
+  if (past.length) {
+    active = past[past.length - 1].active;
+  } else if (next) {
+    active = !next.active;
+  } else {
+    active = aggregate.above ? altitude > aggregate.angle : altitude < aggregate.angle;
+  }
+
+  return {
+    active,
+    upcoming: boundaries.filter(boundary => boundary.date > now).map(boundary => boundary.date)
+  };
+}
+
+module.exports = {
+  SUN_TIMES_META,
+  AGGREGATE_META,
+  POLAR_STATES,
+  registerAltitude,
+  isValidDate,
+  buildTimeline,
+  getAggregateState
+};
\ No newline at end of file
@@ -0,0 +1,135 @@
+// src/timezone.js
+
+'use strict';
+
+/**
+ * Hour cycles accepted in config.json ('h12' = 1:00 PM, 'h23' = 13:00).
+ */
+const HOUR_CYCLES = ['h11', 'h12', 'h23', 'h24'];
+
+/**
+ * Helper: Splits a moment into wall-clock fields as seen in a time zone.
+ * @param {Date} date - The moment to convert.
+ * @param {string} [timeZone] - IANA time zone (e.g. 'America/Denver'); host zone if omitted.
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number,
+ * second: number, weekday: number}} - month is 1-12, weekday is 0 (Sunday) to 6.
+ */
+function getZonedParts(date, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+
+  const parts = {};
+  formatter.formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Helper: Returns the UTC offset of a time zone at a given moment, in minutes.
+ * @param {Date} date - The moment (offsets change with daylight saving time).
+ * @param {string} [timeZone] - IANA time zone; host zone if omitted.
+ * @returns {number} - e.g. -360 for Mountain Daylight Time.
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Helper: Formats a moment as ISO-8601 with the time zone's UTC offset
+ * (e.g. '2024-03-20T18:14:21-06:00'), for machine consumption.
+ * @param {Date} date - The moment to format.
+ * @param {string} [timeZone] - IANA time zone; host zone if omitted.
+ * @returns {string}
+ */
+function formatIsoTime(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const offset = getTimeZoneOffset(date, timeZone);
+  const pad = value => String(Math.abs(value)).padStart(2, '0');
+
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}` +
+    `T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    `${offset < 0 ? '-' : '+'}${pad(Math.trunc(offset / 60))}:${pad(offset % 60)}`;
+}
+
+/**
+ * Converts a wall-clock time in a time zone to the moment it happens.
+ * On daylight saving transition days the offset in effect at the result is used, so a time
+ * skipped by the transition lands just after it.
+ * @param {number} year
+ * @param {number} month - 1-12.
+ * @param {number} day
+ * @param {number} hour
+ * @param {number} minute
+ * @param {string} [timeZone] - IANA time zone; host zone if omitted.
+ * @returns {Date}
+ */
+function zonedTimeToDate(year, month, day, hour, minute, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  let result = asUtc - (getTimeZoneOffset(new Date(asUtc), timeZone) * 60000);
+  result = asUtc - (getTimeZoneOffset(new Date(result), timeZone) * 60000);
+  return new Date(result);
+}
+
+/**
+ * Creates the formatter used for the 'Event Time' characteristics.
+ * Throws a RangeError if the time zone, locale or hour cycle is not supported, so callers
+ * can report the problem and fall back to the host's settings.
+ * @param {Object} [settings] - { timeZone, locale, hourCycle } from config.json.
+ * @returns {{timeZone: string|undefined, format: function(Date): string,
+ * formatIso: function(Date): string}}
+ */
+function createTimeFormatter(settings = {}) {
+  const timeZone = settings.timeZone || undefined;
+  const locale = settings.locale || undefined;
+  const hourCycle = settings.hourCycle || undefined;
+
+  if (hourCycle && !HOUR_CYCLES.includes(hourCycle)) {
+    throw new RangeError(`Invalid hourCycle '${hourCycle}' (expected ${HOUR_CYCLES.join(', ')})`);
+  }
+
+  // Same fields as Date.prototype.toLocaleTimeString(), which was used before
+  const formatter = new Intl.DateTimeFormat(locale, {
+    timeZone,
+    hourCycle,
+    hour: 'numeric',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+  return {
+    timeZone,
+    format: date => formatter.format(date),
+    formatIso: date => formatIsoTime(date, timeZone)
+  };
+}
+
+module.exports = { getZonedParts, zonedTimeToDate, createTimeFormatter };
\ No newline at end of file
@@ -0,0 +1,140 @@
+// src/validation.js
+
+'use strict';
+
+/**
+ * Solar phase metadata, used to recognise sensor and offset keys.
+ */
+const { SUN_TIMES_META } = require('./timeline');
+
+/**
+ * Place-name locations, which are only valid once resolved to coordinates.
+ */
+const { getPlaceQuery } = require('./gazetteer');
+
+/**
+ * Helper: Formats a config value for an error message.
+ * @param {*} value
+ * @returns {string}
+ */
+function describeValue(value) {
+  return value === undefined ? 'nothing' : JSON.stringify(value);
+}
+
+/**
+ * Helper: Reads a number from the config. Numeric strings (e.g. "40.7") are accepted, as they
+ * always have been; empty strings are not.
+ * @param {*} value
+ * @returns {number} - NaN if the value is not numeric.
+ */
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  return typeof value === 'string' && value.trim() ? Number(value) : NaN;
+}
+
+/**
+ * Helper: Checks that a value is a finite number or a numeric string.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isFiniteNumber(value) {
+  return Number.isFinite(toNumber(value));
+}
+
+/**
+ * Checks one instance's settings before any accessory is created for it.
+ * Only settings that would crash the instance or silently do the wrong thing are rejected;
+ * the optional feature blocks validate themselves and skip invalid entries.
+ * @param {Object} instanceConfig - One entry of 'instances' (or the platform config itself).
+ * @param {string[]} modes - The supported sensor modes.
+ * @returns {string[]} - One message per problem, naming the field (empty when valid).
+ */
+function validateInstanceConfig(instanceConfig, modes) {
+  const errors = [];
+
+  if (!instanceConfig || typeof instanceConfig !== 'object' || Array.isArray(instanceConfig)) {
+    return [`instance must be an object (got ${describeValue(instanceConfig)})`];
+  }
+
+  // Coordinates: required, numeric and in range
+  const location = instanceConfig.location;
+  const placeQuery = getPlaceQuery(location);
+  if (placeQuery !== null) {
+    // resolveLocation() replaces every place it finds by its coordinates
+    errors.push(
+      `location ${describeValue(placeQuery)} matches no place in the offline gazetteer ` +
+      '(use a city name, optionally followed by its region or country, a US ZIP code, ' +
+      'a Canadian postal code, or set lat and lon)'
+    );
+  } else if (!location || typeof location !== 'object') {
+    errors.push(`location is required, with numeric lat and lon (got ${describeValue(location)})`);
+  } else {
+    [['lat', 90], ['lon', 180]].forEach(([field, limit]) => {
+      const value = location[field];
+      if (!isFiniteNumber(value) || Math.abs(value) > limit) {
+        errors.push(
+          `location.${field} must be a number between -${limit} and ${limit} ` +
+          `(got ${describeValue(value)})`
+        );
+      }
+    });
+  }
+
+  // Mode and custom sensor list
+  const mode = instanceConfig.mode;
+  if (mode !== undefined && !modes.includes(mode)) {
+    errors.push(`mode must be one of ${modes.join(', ')} (got ${describeValue(mode)})`);
+  }
+  if (instanceConfig.sensors !== undefined) {
+    if (!Array.isArray(instanceConfig.sensors)) {
+      errors.push(`sensors must be a list (got ${describeValue(instanceConfig.sensors)})`);
+    } else {
+      instanceConfig.sensors
+        .filter(key => !SUN_TIMES_META[key])
+        .forEach(key => errors.push(`sensors contains an unknown sensor ${describeValue(key)}`));
+    }
+  }
+
+  // Offsets: known keys, numeric minutes
+  const offset = instanceConfig.offset;
+  if (offset !== undefined && (!offset || typeof offset !== 'object' || Array.isArray(offset))) {
+    errors.push(`offset must be an object of minutes per event (got ${describeValue(offset)})`);
+  } else if (offset) {
+    Object.entries(offset).forEach(([key, value]) => {
+      if (!SUN_TIMES_META[key]) {
+        errors.push(`offset.${key} is not a known event`);
+      } else if (value !== null && value !== '' && !isFiniteNumber(value)) {
+        errors.push(`offset.${key} must be a number of minutes (got ${describeValue(value)})`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Converts numeric-string coordinates to numbers, so the accessory (and everything that
+ * reports its location) only ever sees numbers. Other values are left for the validation.
+ * @param {Object} instanceConfig - One entry of 'instances'.
+ * @returns {Object} - The same config, or a copy with numeric coordinates.
+ */
+function normalizeInstanceConfig(instanceConfig) {
+  const location = instanceConfig?.location;
+  if (!location || typeof location !== 'object') {
+    return instanceConfig;
+  }
+
+  const coordinates = {};
+  ['lat', 'lon'].forEach(field => {
+    if (typeof location[field] === 'string' && isFiniteNumber(location[field])) {
+      coordinates[field] = toNumber(location[field]);
+    }
+  });
+  return Object.keys(coordinates).length ?
+    { ...instanceConfig, location: { ...location, ...coordinates } } :
+    instanceConfig;
+}
+
+module.exports = { validateInstanceConfig, normalizeInstanceConfig };
\ No newline at end of file
@@ -0,0 +1,207 @@
+// src/webhooks.js
+
+'use strict';
+
+/**
+ * Defaults for webhook targets. Timeouts and retry delays are in seconds in config.json.
+ */
+const WEBHOOK_DEFAULTS = {
+  method: 'POST',
+  timeout: 5,
+  retries: 3,
+  retryDelay: 2
+};
+
+/**
+ * Helper: Normalizes the webhook targets of an instance.
+ * Invalid entries are logged and skipped.
+ * @param {Object[]} [webhooks] - The 'webhooks' list from config.json.
+ * @param {Function} logError - Logger used to report invalid entries.
+ * @returns {Object[]} - Targets as { url, method, headers, body, events, timeout, retries,
+ * retryDelay }, with events as a Set of event keys (or null for every event) and durations
+ * in milliseconds.
+ */
+function getWebhookSettings(webhooks, logError) {
+  const settings = [];
+  const numberOr = (value, fallback, min) => {
+    const number = Number(value);
+    return value !== undefined && value !== null && Number.isFinite(number) && number >= min ?
+      number :
+      fallback;
+  };
+
+  for (const webhook of Array.isArray(webhooks) ? webhooks : []) {
+    let url;
+    try {
+      url = new URL(webhook?.url);
+    } catch {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      logError(`Ignoring webhook with an invalid URL: ${JSON.stringify(webhook?.url)}`);
+      continue;
+    }
+
+    settings.push({
+      url: webhook.url,
+      method: typeof webhook.method === 'string' && webhook.method.trim() ?
+        webhook.method.trim().toUpperCase() :
+        WEBHOOK_DEFAULTS.method,
+      headers: webhook.headers && typeof webhook.headers === 'object' ? webhook.headers : {},
+      body: typeof webhook.body === 'string' ? webhook.body : null,
+      events: Array.isArray(webhook.events) && webhook.events.length ?
+        new Set(webhook.events) :
+        null,
+      timeout: numberOr(webhook.timeout, WEBHOOK_DEFAULTS.timeout, 0.1) * 1000,
+      retries: Math.floor(numberOr(webhook.retries, WEBHOOK_DEFAULTS.retries, 0)),
+      retryDelay: numberOr(webhook.retryDelay, WEBHOOK_DEFAULTS.retryDelay, 0) * 1000
+    });
+  }
+  return settings;
+}
+
+/**
+ * Helper: Escapes a value for use inside a JSON string (without the surrounding quotes).
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeJsonString(value) {
+  return JSON.stringify(String(value)).slice(1, -1);
+}
+
+/**
+ * Helper: Replaces '{placeholder}' tokens with transition values.
+ * Unknown placeholders are left untouched.
+ * @param {string} template
+ * @param {Object<string, string>} values
+ * @param {function(string): string} [encode] - Encodes each value for its context (URL
+ * component, JSON string); values are inserted as-is by default.
+ * @returns {string}
+ */
+function fillTemplate(template, values, encode = value => value) {
+  return template.replace(/\{(\w+)\}/g, (token, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? encode(values[name]) : token
+  );
+}
+
+/**
+ * Sends phase transitions to the configured webhook targets.
+ * Requests run in the background: a slow or dead endpoint is bounded by the timeout and the
+ * retry budget, and never delays the solar scheduler.
+ */
+class WebhookDispatcher {
+  /**
+   * @param {Object} log - Homebridge logger.
+   * @param {string} platformName - The instance name, used in log messages.
+   * @param {Object[]} targets - Normalized targets from getWebhookSettings().
+   */
+  constructor(log, platformName, targets) {
+    this.log = log;
+    this.platformName = platformName;
+    this.targets = targets;
+    this.pending = new Set();
+    this.stopped = false;
+  }
+
+  /**
+   * Sends a transition to every target whose event filter matches.
+   * @param {Object<string, string>} values - Placeholder values ({instance}, {event}, ...).
+   */
+  send(values) {
+    this.targets
+      .filter(target => !target.events || target.events.has(values.event))
+      .forEach(target => {
+        this.deliver(target, values, 0);
+      });
+  }
+
+  /**
+   * Helper: Performs one attempt and schedules a retry (with exponential backoff) on failure.
+   * @param {Object} target - The webhook target.
+   * @param {Object<string, string>} values - Placeholder values.
+   * @param {number} attempt - 0 for the first attempt.
+   */
+  async deliver(target, values, attempt) {
+    if (this.stopped) {
+      return;
+    }
+
+    // Names may contain '&', '#', quotes or backslashes, so values are encoded for their place
+    const url = fillTemplate(target.url, values, encodeURIComponent);
+    let body;
+    if (!['GET', 'HEAD'].includes(target.method)) {
+      body = target.body === null ?
+        JSON.stringify(values) :
+        fillTemplate(target.body, values, escapeJsonString);
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), target.timeout);
+    this.pending.add(controller);
+
+    let failure = null;
+    try {
+      const response = await fetch(url, {
+        method: target.method,
+        headers: Object.fromEntries(
+          Object.entries({ 'Content-Type': 'application/json', ...target.headers })
+            .map(([name, value]) => [name, fillTemplate(String(value), values)])
+        ),
+        body,
+        signal: controller.signal
+      });
+      await response.arrayBuffer(); // Drain the body so the connection is released
+      if (!response.ok) {
+        failure = `HTTP ${response.status}`;
+      }
+    } catch (err) {
+      failure = controller.signal.aborted ? 'timed out' : err.message;
+    } finally {
+      clearTimeout(timer);
+      this.pending.delete(controller);
+    }
+
+    if (!failure) {
+      this.log.debug(`[${this.platformName}] Webhook delivered: ${target.method} ${url}`);
+      return;
+    }
+    if (this.stopped) {
+      return;
+    }
+    if (attempt >= target.retries) {
+      this.log.error(
+        `[${this.platformName}] Webhook failed after ${attempt + 1} attempt(s): ` +
+        `${target.method} ${url} (${failure})`
+      );
+      return;
+    }
+
+    const delay = target.retryDelay * (2 ** attempt);
+    this.log.debug(
+      `[${this.platformName}] Webhook attempt ${attempt + 1} failed (${failure}), ` +
+      `retrying in ${delay / 1000}s`
+    );
+    const retry = setTimeout(() => {
+      this.pending.delete(retry);
+      this.deliver(target, values, attempt + 1);
+    }, delay);
+    this.pending.add(retry);
+  }
+
+  /**
+   * Cancels in-flight requests and pending retries.
+   */
+  stop() {
+    this.stopped = true;
+    this.pending.forEach(entry => {
+      if (entry instanceof AbortController) {
+        entry.abort();
+      } else {
+        clearTimeout(entry);
+      }
+    });
+    this.pending.clear();
+  }
+}
+
+module.exports = { WebhookDispatcher, getWebhookSettings };
\ No newline at end of file
@@ -8,8 +8,14 @@
  * It allows the test suite to run without installing the full Homebridge environment.
  */
 
-// Standard UUID for Occupancy Sensors used by HomeKit
+// Standard UUIDs for the sensor services (and their state characteristics) used by HomeKit
 const OCCUPANCY_UUID = '00000071-0000-1000-8000-0026BB765291';
+const MOTION_SENSOR_UUID = '00000085-0000-1000-8000-0026BB765291';
+const MOTION_DETECTED_UUID = '00000022-0000-1000-8000-0026BB765291';
+const CONTACT_SENSOR_UUID = '00000080-0000-1000-8000-0026BB765291';
+const CONTACT_STATE_UUID = '0000006A-0000-1000-8000-0026BB765291';
+const SWITCH_UUID = '00000049-0000-1000-8000-0026BB765291';
+const ON_UUID = '00000025-0000-1000-8000-0026BB765291';
 
 /**
  * Mock Characteristic Class
@@ -42,13 +48,45 @@ class Characteristic {
     }
   };
 
+  /** Mock for the MotionDetected characteristic (true while motion is detected) */
+  static MotionDetected = class extends Characteristic {
+    static UUID = MOTION_DETECTED_UUID;
+    constructor() {
+      super('Motion Detected', MOTION_DETECTED_UUID);
+    }
+  };
+
+  /** Mock for the ContactSensorState characteristic (0 = closed, 1 = open) */
+  static ContactSensorState = class extends Characteristic {
+    static UUID = CONTACT_STATE_UUID;
+    static CONTACT_DETECTED = 0;
+    static CONTACT_NOT_DETECTED = 1;
+    constructor() {
+      super('Contact Sensor State', CONTACT_STATE_UUID);
+    }
+  };
+
+  /** Mock for the On characteristic of a Switch */
+  static On = class extends Characteristic {
+    static UUID = ON_UUID;
+    constructor() {
+      super('On', ON_UUID);
+    }
+  };
+
   // HAP-NodeJS Property Enums
   static Formats = {
     STRING: 'string',
     UINT8: 'uint8',
+    FLOAT: 'float',
     BOOLEAN: 'bool'
   };
 
+  static Units = {
+    ARC_DEGREE: 'arcdegrees',
+    PERCENTAGE: 'percentage'
+  };
+
   static Perms = {
     PAIRED_READ: 'pr',
     NOTIFY: 'ev'
@@ -59,6 +97,21 @@ class Characteristic {
     return this;
   }
 
+  /** Registers the handler HomeKit calls when a controller writes a value */
+  onSet(handler) {
+    this.setHandler = handler;
+    return this;
+  }
+
+  /** Simulates a write from the Home app: stores the value and calls the onSet handler */
+  setValue(val) {
+    this.value = val;
+    if (this.setHandler) {
+      this.setHandler(val);
+    }
+    return this;
+  }
+
   /** Updates the internal value and mimics the HAP update behavior */
   updateValue(val) {
     this.value = val;
@@ -73,6 +126,9 @@ class Characteristic {
 class Service {
   static AccessoryInformation = '0000003E-0000-1000-8000-0026BB765291';
   static OccupancySensor = OCCUPANCY_UUID;
+  static MotionSensor = MOTION_SENSOR_UUID;
+  static ContactSensor = CONTACT_SENSOR_UUID;
+  static Switch = SWITCH_UUID;
 
   constructor(name, uuid, subtype) {
     this.displayName = name;
@@ -120,6 +176,14 @@ class Service {
     return instance;
   }
 
+  /** Removes a characteristic instance from the service */
+  removeCharacteristic(characteristic) {
+    const index = this.characteristics.indexOf(characteristic);
+    if (index > -1) {
+      this.characteristics.splice(index, 1);
+    }
+  }
+
   /** Helper to quickly set a value on a characteristic */
   setCharacteristic(type, val) {
     return this.updateCharacteristic(type, val);
@@ -148,5 +212,6 @@ module.exports = {
   // Simplistic UUID generator: just returns the name as the UUID for testing purposes
   uuid: { generate: name => name },
   Formats: Characteristic.Formats,
+  Units: Characteristic.Units,
   Perms: Characteristic.Perms
 };
\ No newline at end of file
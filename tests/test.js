@@ -7,6 +7,11 @@
  * mockHap: A local stub that mimics the HomeKit Accessory Protocol.
  * Suncalc2Platform: The main platform logic we are testing.
  */
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
 const mockHap = require('./mockHap');
 const Suncalc2Platform = require('../src/platform');
 
@@ -81,9 +86,13 @@ const mockApi = {
         this.services.splice(index, 1);
       }
     }
+    updateDisplayName(name) {
+      this.displayName = name;
+    }
   },
   registerPlatformAccessories: () => {},
   updatePlatformAccessories: () => {},
+  unregisterPlatformAccessories: () => {},
   on: function(ev, cb) {
     this[ev] = cb;
   },
@@ -282,6 +291,1613 @@ async function runTestSuite() {
       style(`${extendedCount}/4`, 'bold', 'red')}`
   );
 
+  // ---------------------------------------------------------
+  // STAGE 6: Per-Event Offsets & Reordering
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 6: Per-Event Offsets');
+
+  const perEventConfig = {
+    name: 'Per-Event-Offset',
+    location: { lat: 51.5, lon: -0.1 },
+    offset: { dusk: -15, sunsetStart: 10 }
+  };
+  const perEventPlatform = new Suncalc2Platform(mockLog, perEventConfig, mockApi);
+  const perEventUuid = mockApi.hap.uuid.generate('homebridge-suncalc-2:Per-Event-Offset');
+
+  perEventPlatform.api.emit('didFinishLaunching');
+  await new Promise(r => setTimeout(r, 50));
+  const perEventInstance = perEventPlatform.platformAccessories.get(perEventUuid)._instance;
+
+  // sunsetStart (+10m) now lands after sunset, and dusk (-15m) moves to ~18:32Z
+  const offsetCases = [
+    { time: '2024-03-20T18:17:00Z', key: 'sunset', label: 'Sunset before shifted sunsetStart' },
+    { time: '2024-03-20T18:25:00Z', key: 'sunsetStart', label: 'Shifted sunsetStart (+10m)' },
+    { time: '2024-03-20T18:40:00Z', key: 'dusk', label: 'Shifted dusk (-15m)' }
+  ];
+
+  for (const check of offsetCases) {
+    perEventInstance.updateSunTimes(new Date(check.time));
+
+    const char = mockHap.Characteristic.OccupancyDetected;
+    const activeKeys = Object.keys(perEventInstance.sensors).filter(key =>
+      perEventInstance.sensors[key].service.getCharacteristic(char).value === 1
+    );
+    const passed = activeKeys.length === 1 && activeKeys[0] === check.key;
+
+    console.log(
+      `${check.label} at ${check.time}: ` +
+      `${passed ?
+        style(`ACTIVE (${check.key})`, 'bold', 'green') :
+        style(`FAILED (${activeKeys.join(', ') || 'none'})`, 'bold', 'red')}`
+    );
+    if (!passed) {
+      throw new Error(`${check.label} failed to trigger exclusively.`);
+    }
+  }
+
+  // ---------------------------------------------------------
+  // STAGE 7: Custom Sensor List
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 7: Custom Sensor List');
+
+  const customConfig = {
+    name: 'Custom-Test',
+    mode: 'custom',
+    sensors: ['sunset', 'dawn', 'night'],
+    location: { lat: 51.5, lon: -0.1 }
+  };
+  const customPlatform = new Suncalc2Platform(mockLog, customConfig, mockApi);
+  const customUuid = mockApi.hap.uuid.generate('homebridge-suncalc-2:Custom-Test');
+
+  customPlatform.api.emit('didFinishLaunching');
+  await new Promise(r => setTimeout(r, 50));
+
+  const customAcc = customPlatform.platformAccessories.get(customUuid);
+  const customKeys = Object.keys(customAcc._instance.sensors).join(',');
+  console.log(
+    `Custom list (dawn, sunset, night): ` +
+    `${customKeys === 'dawn,sunset,night' ?
+      style(customKeys, 'bold', 'green') :
+      style(customKeys, 'bold', 'red')}`
+  );
+  if (customKeys !== 'dawn,sunset,night') {
+    throw new Error('Custom mode published the wrong sensors');
+  }
+
+  // Change only the list; the mode string stays 'custom'
+  // (unknown keys are rejected by the platform, and ignored by the accessory itself)
+  customConfig.sensors = ['dawn', 'night', 'notAPhase'];
+  customAcc._instance.cleanup();
+  customAcc._instance = new SuncalcAccessory(mockLog, customConfig, mockApi, customAcc);
+
+  const prunedCount = countOccupancySensors(customAcc);
+  console.log(
+    `Shrink custom list (Cleanup check): ` +
+    `${prunedCount === 2 ?
+      style('2/2', 'bold', 'green') :
+      style(`${prunedCount}/2`, 'bold', 'red')}`
+  );
+  if (prunedCount !== 2) {
+    throw new Error('Custom sensor list change did not prune removed sensors');
+  }
+
+  // ---------------------------------------------------------
+  // STAGE 8: Custom Altitude Thresholds
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 8: Custom Altitude Thresholds');
+
+  const thresholdConfig = {
+    name: 'Threshold-Test',
+    mode: 'basic',
+    location: { lat: 51.5, lon: -0.1 },
+    // The second entry has no usable name and is skipped
+    thresholds: [{ name: 'Blinds down', angle: 12 }, { name: 42, angle: 5 }]
+  };
+  const thresholdPlatform = new Suncalc2Platform(mockLog, thresholdConfig, mockApi);
+  const thresholdUuid = mockApi.hap.uuid.generate('homebridge-suncalc-2:Threshold-Test');
+
+  thresholdPlatform.api.emit('didFinishLaunching');
+  await new Promise(r => setTimeout(r, 50));
+
+  const thresholdAcc = thresholdPlatform.platformAccessories.get(thresholdUuid);
+  const thresholdInstance = thresholdAcc._instance;
+  const riseSubtype = `${thresholdUuid}:threshold:blinds-down:rise`;
+  const hasThresholdService = !!thresholdAcc.getServiceById(
+    mockHap.Service.OccupancySensor,
+    riseSubtype
+  );
+  console.log(
+    `Threshold services created: ` +
+    `${hasThresholdService && countOccupancySensors(thresholdAcc) === 4 ?
+      style('4/4', 'bold', 'green') :
+      style(`${countOccupancySensors(thresholdAcc)}/4`, 'bold', 'red')}`
+  );
+  if (!hasThresholdService || countOccupancySensors(thresholdAcc) !== 4) {
+    throw new Error('Threshold sensors were not created');
+  }
+
+  // The sun crosses 12° at ~07:27Z and ~16:51Z in London on the equinox
+  const thresholdCases = [
+    { time: '2024-03-20T07:00:00Z', key: 'sunrise', label: 'Before threshold' },
+    { time: '2024-03-20T08:00:00Z', key: 'threshold:blinds-down:rise', label: 'Above 12°' },
+    { time: '2024-03-20T17:00:00Z', key: 'threshold:blinds-down:set', label: 'Below 12°' }
+  ];
+
+  for (const check of thresholdCases) {
+    thresholdInstance.updateSunTimes(new Date(check.time));
+
+    const char = mockHap.Characteristic.OccupancyDetected;
+    const active = thresholdInstance.sensors[check.key].service.getCharacteristic(char).value;
+
+    console.log(
+      `${check.label} at ${check.time}: ` +
+      `${active === 1 ? style('ACTIVE', 'bold', 'green') : style('INACTIVE', 'bold', 'red')}`
+    );
+    if (active !== 1) {
+      throw new Error(`${check.label} failed to trigger.`);
+    }
+  }
+
+  // Removing the threshold from config prunes both of its sensors
+  thresholdConfig.thresholds = [];
+  thresholdInstance.cleanup();
+  thresholdAcc._instance = new SuncalcAccessory(mockLog, thresholdConfig, mockApi, thresholdAcc);
+
+  const remaining = countOccupancySensors(thresholdAcc);
+  console.log(
+    `Remove threshold (Cleanup check): ` +
+    `${remaining === 2 ?
+      style('2/2', 'bold', 'green') :
+      style(`${remaining}/2`, 'bold', 'red')}`
+  );
+  if (remaining !== 2) {
+    throw new Error('Removed threshold sensors were not pruned');
+  }
+
+  // ---------------------------------------------------------
+  // STAGE 9: Live Sun Position
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 9: Live Sun Position');
+
+  const positionConfig = {
+    name: 'Position-Test',
+    mode: 'basic',
+    location: { lat: 51.5, lon: -0.1 },
+    position: { enabled: true, interval: 60, aboveAltitude: 30 }
+  };
+  const positionPlatform = new Suncalc2Platform(mockLog, positionConfig, mockApi);
+  const positionUuid = mockApi.hap.uuid.generate('homebridge-suncalc-2:Position-Test');
+
+  positionPlatform.api.emit('didFinishLaunching');
+  await new Promise(r => setTimeout(r, 50));
+
+  const positionInstance = positionPlatform.platformAccessories.get(positionUuid)._instance;
+  const positionCases = [
+    { time: '2024-03-20T12:09:00Z', above: 1, azimuth: 180, label: 'Solar noon (~38.5°)' },
+    { time: '2024-03-20T08:00:00Z', above: 0, azimuth: 113, label: 'Morning (~17°)' }
+  ];
+
+  for (const check of positionCases) {
+    positionInstance.updatePosition(new Date(check.time));
+
+    const sensor = positionInstance.positionSensor;
+    const char = mockHap.Characteristic.OccupancyDetected;
+    const above = sensor.service.getCharacteristic(char).value;
+    const azimuthOk = Math.abs(sensor.azimuthChar.value - check.azimuth) < 2;
+    const passed = above === check.above && azimuthOk;
+
+    console.log(
+      `${check.label}: altitude ${sensor.altitudeChar.value}°, ` +
+      `azimuth ${sensor.azimuthChar.value}° ` +
+      `${passed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+    );
+    if (!passed) {
+      throw new Error(`${check.label} sun position incorrect`);
+    }
+  }
+  positionInstance.cleanup();
+
+  // ---------------------------------------------------------
+  // STAGE 10: Window Sun Exposure
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 10: Window Sun Exposure');
+
+  const windowConfig = {
+    name: 'Window-Test',
+    mode: 'basic',
+    location: { lat: 51.5, lon: -0.1 },
+    windows: [
+      { name: 'Kitchen', azimuthFrom: 90, azimuthTo: 180, minAltitude: 10, hysteresis: 1 },
+      {
+        name: 'Office',
+        azimuthFrom: 90,
+        azimuthTo: 180,
+        horizon: [{ azimuth: 90, altitude: 25 }, { azimuth: 180, altitude: 25 }]
+      },
+      // No usable name: skipped
+      { name: ['Attic'], azimuthFrom: 90, azimuthTo: 180 }
+    ]
+  };
+  const windowPlatform = new Suncalc2Platform(mockLog, windowConfig, mockApi);
+  const windowUuid = mockApi.hap.uuid.generate('homebridge-suncalc-2:Window-Test');
+
+  windowPlatform.api.emit('didFinishLaunching');
+  await new Promise(r => setTimeout(r, 50));
+
+  const windowInstance = windowPlatform.platformAccessories.get(windowUuid)._instance;
+  const [kitchen, office] = windowInstance.windowSensors;
+  if (windowInstance.windowSensors.length !== 2) {
+    throw new Error('A window without a usable name was not skipped');
+  }
+
+  // Kitchen faces east-south-east; the Office has a 25° obstruction across the same range
+  const windowCases = [
+    { time: '2024-03-20T07:00:00Z', kitchen: 0, office: 0, label: 'Sun too low (~8°)' },
+    { time: '2024-03-20T08:00:00Z', kitchen: 1, office: 0, label: 'Sun on façade (~17°)' },
+    { time: '2024-03-20T11:00:00Z', kitchen: 1, office: 1, label: 'Above obstruction' },
+    { time: '2024-03-20T12:10:00Z', kitchen: 1, office: 1, label: 'Within hysteresis (180.6°)' },
+    { time: '2024-03-20T12:40:00Z', kitchen: 0, office: 0, label: 'Sun past façade (190°)' }
+  ];
+
+  for (const check of windowCases) {
+    windowInstance.updatePosition(new Date(check.time));
+
+    const char = mockHap.Characteristic.OccupancyDetected;
+    const kitchenValue = kitchen.service.getCharacteristic(char).value;
+    const officeValue = office.service.getCharacteristic(char).value;
+    const passed = kitchenValue === check.kitchen && officeValue === check.office;
+
+    console.log(
+      `${check.label}: Kitchen=${kitchenValue}, Office=${officeValue} ` +
+      `${passed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+    );
+    if (!passed) {
+      throw new Error(`${check.label} window exposure incorrect`);
+    }
+  }
+  windowInstance.cleanup();
+
+  // ---------------------------------------------------------
+  // STAGE 11: Moon Sensors
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 11: Moon Sensors');
+
+  const moonConfig = {
+    name: 'Moon-Test',
+    mode: 'basic',
+    location: { lat: 51.5, lon: -0.1 },
+    moon: { enabled: true, fullMoonWindow: 12 }
+  };
+  const moonPlatform = new Suncalc2Platform(mockLog, moonConfig, mockApi);
+  const moonUuid = mockApi.hap.uuid.generate('homebridge-suncalc-2:Moon-Test');
+
+  moonPlatform.api.emit('didFinishLaunching');
+  await new Promise(r => setTimeout(r, 50));
+
+  const moonInstance = moonPlatform.platformAccessories.get(moonUuid)._instance;
+
+  // The full moon of March 2024 peaked at ~07:00Z on the 25th
+  const moonCases = [
+    { time: '2024-03-25T07:00:00Z', up: 0, full: 1, phase: 'Full Moon', label: 'Full moon, set' },
+    { time: '2024-03-20T22:00:00Z', up: 1, full: 0, phase: 'Waxing Gibbous', label: 'Evening' },
+    { time: '2024-03-20T12:00:00Z', up: 0, full: 0, phase: 'Waxing Gibbous', label: 'Midday' }
+  ];
+
+  for (const check of moonCases) {
+    moonInstance.updateSunTimes(new Date(check.time));
+
+    const sensors = moonInstance.moonSensors;
+    const char = mockHap.Characteristic.OccupancyDetected;
+    const up = sensors.moonService.getCharacteristic(char).value;
+    const full = sensors.fullMoonService.getCharacteristic(char).value;
+    const phase = sensors.phaseChar.value;
+    const passed = up === check.up && full === check.full && phase === check.phase;
+
+    console.log(
+      `${check.label} at ${check.time}: up=${up}, full=${full}, ${phase} ` +
+      `(${sensors.illuminationChar.value}%) ` +
+      `${passed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+    );
+    if (!passed) {
+      throw new Error(`${check.label} moon state incorrect`);
+    }
+  }
+
+  // ---------------------------------------------------------
+  // STAGE 12: Aggregate Sensors
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 12: Aggregate Sensors');
+
+  const aggregateKeys = ['daylight', 'civilDark', 'nauticalDark', 'astronomicalDark'];
+  const aggregateInstances = [];
+
+  // The same aggregates on a basic and a full instance must switch at identical times
+  for (const mode of ['basic', 'full']) {
+    const cfg = {
+      name: `Aggregate-${mode}`,
+      mode,
+      location: { lat: 51.5, lon: -0.1 },
+      aggregates: aggregateKeys
+    };
+    const platform = new Suncalc2Platform(mockLog, cfg, mockApi);
+    const uuid = mockApi.hap.uuid.generate(`homebridge-suncalc-2:Aggregate-${mode}`);
+
+    platform.api.emit('didFinishLaunching');
+    await new Promise(r => setTimeout(r, 50));
+    aggregateInstances.push(platform.platformAccessories.get(uuid)._instance);
+  }
+
+  // Expected [daylight, civilDark, nauticalDark, astronomicalDark] in London on the equinox
+  const aggregateCases = [
+    { time: '2024-03-20T00:30:00Z', expected: [0, 1, 1, 1], label: 'After midnight' },
+    { time: '2024-03-20T05:00:00Z', expected: [0, 1, 0, 0], label: 'Nautical twilight' },
+    { time: '2024-03-20T12:00:00Z', expected: [1, 0, 0, 0], label: 'Midday' },
+    { time: '2024-03-20T18:30:00Z', expected: [0, 0, 0, 0], label: 'Civil twilight' },
+    { time: '2024-03-20T23:00:00Z', expected: [0, 1, 1, 1], label: 'Night' }
+  ];
+
+  for (const check of aggregateCases) {
+    const results = aggregateInstances.map(inst => {
+      inst.updateSunTimes(new Date(check.time));
+      const char = mockHap.Characteristic.OccupancyDetected;
+      return aggregateKeys.map(key =>
+        inst.aggregateSensors[key].service.getCharacteristic(char).value
+      );
+    });
+    const passed = results.every(values => values.join() === check.expected.join());
+
+    console.log(
+      `${check.label} at ${check.time}: ${results.map(r => r.join('')).join(' / ')} ` +
+      `${passed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+    );
+    if (!passed) {
+      throw new Error(`${check.label} aggregate state incorrect`);
+    }
+  }
+
+  // ---------------------------------------------------------
+  // STAGE 13: Pre-Dawn Window & Polar Day/Night
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 13: Pre-Dawn & Polar Day/Night');
+
+  const polarLocations = {
+    London: { lat: 51.5, lon: -0.1 },
+    Tromso: { lat: 69.65, lon: 18.96 },
+    McMurdo: { lat: -77.85, lon: 166.67 }
+  };
+  const polarInstances = {};
+
+  for (const [place, location] of Object.entries(polarLocations)) {
+    const cfg = {
+      name: `Polar-${place}`,
+      mode: 'custom',
+      sensors: ['sunrise', 'sunset'],
+      location,
+      aggregates: ['daylight', 'civilDark']
+    };
+    const platform = new Suncalc2Platform(mockLog, cfg, mockApi);
+    const uuid = mockApi.hap.uuid.generate(`homebridge-suncalc-2:Polar-${place}`);
+
+    platform.api.emit('didFinishLaunching');
+    await new Promise(r => setTimeout(r, 50));
+    polarInstances[place] = platform.platformAccessories.get(uuid)._instance;
+  }
+
+  const polarCases = [
+    // Before today's first event, yesterday's sunset is still in effect
+    { place: 'London', time: '2024-03-20T00:05:00Z', key: 'sunset', daylight: 0,
+      polar: 'Normal', label: 'London just after midnight' },
+    { place: 'London', time: '2024-03-20T05:00:00Z', key: 'sunset', daylight: 0,
+      polar: 'Normal', label: 'London before dawn' },
+    { place: 'London', time: '2024-03-20T06:30:00Z', key: 'sunrise', daylight: 1,
+      polar: 'Normal', label: 'London after sunrise' },
+    { place: 'Tromso', time: '2024-06-21T12:00:00Z', key: 'sunrise', daylight: 1,
+      polar: 'Midnight Sun', label: 'Tromsø (69°N) midsummer noon' },
+    { place: 'Tromso', time: '2024-06-21T23:00:00Z', key: 'sunrise', daylight: 1,
+      polar: 'Midnight Sun', label: 'Tromsø (69°N) midsummer midnight' },
+    { place: 'Tromso', time: '2024-12-21T11:00:00Z', key: 'sunset', daylight: 0,
+      polar: 'Polar Night', label: 'Tromsø (69°N) midwinter noon' },
+    { place: 'McMurdo', time: '2024-06-21T00:00:00Z', key: 'sunset', daylight: 0,
+      polar: 'Polar Night', civilDark: 1, label: 'McMurdo (78°S) midwinter' },
+    { place: 'McMurdo', time: '2024-12-21T00:00:00Z', key: 'sunrise', daylight: 1,
+      polar: 'Midnight Sun', civilDark: 0, label: 'McMurdo (78°S) midsummer' }
+  ];
+
+  for (const check of polarCases) {
+    const inst = polarInstances[check.place];
+    inst.updateSunTimes(new Date(check.time));
+
+    const char = mockHap.Characteristic.OccupancyDetected;
+    const activeKeys = Object.keys(inst.sensors).filter(key =>
+      inst.sensors[key].service.getCharacteristic(char).value === 1
+    );
+    const daylight = inst.aggregateSensors.daylight;
+    const civilDark = inst.aggregateSensors.civilDark.service.getCharacteristic(char).value;
+    const passed = activeKeys.join() === check.key &&
+      daylight.service.getCharacteristic(char).value === check.daylight &&
+      daylight.polarChar.value === check.polar &&
+      (check.civilDark === undefined || civilDark === check.civilDark);
+
+    console.log(
+      `${check.label}: ${activeKeys.join() || 'none'}, ${daylight.polarChar.value} ` +
+      `${passed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+    );
+    if (!passed) {
+      throw new Error(`${check.label} timeline incorrect`);
+    }
+  }
+
+  // ---------------------------------------------------------
+  // STAGE 14: Time Zone, Locale & ISO Event Times
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 14: Time Zone & Locale');
+
+  const zoneConfig = {
+    name: 'Zone-Test',
+    mode: 'basic',
+    location: { lat: 51.5, lon: -0.1 },
+    timeZone: 'America/Denver',
+    locale: 'en-US',
+    hourCycle: 'h23',
+    isoTime: true
+  };
+  const zonePlatform = new Suncalc2Platform(mockLog, zoneConfig, mockApi);
+  const zoneUuid = mockApi.hap.uuid.generate('homebridge-suncalc-2:Zone-Test');
+
+  zonePlatform.api.emit('didFinishLaunching');
+  await new Promise(r => setTimeout(r, 50));
+
+  const zoneAcc = zonePlatform.platformAccessories.get(zoneUuid);
+  zoneAcc._instance.updateSunTimes(new Date('2024-03-20T12:00:00Z'));
+
+  // London's sunset (18:14:21Z) as seen from Denver (UTC-6 after the DST change)
+  const zoneSunset = zoneAcc._instance.sensors.sunset;
+  const zonePassed = zoneSunset.timeChar.value === '12:14:21' &&
+    zoneSunset.isoChar.value === '2024-03-20T12:14:21-06:00';
+  console.log(
+    `Sunset in America/Denver: ${zoneSunset.timeChar.value} / ${zoneSunset.isoChar.value} ` +
+    `${zonePassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+  if (!zonePassed) {
+    throw new Error('Event Time not formatted in the configured time zone');
+  }
+
+  // An invalid zone falls back to the host settings, and disabling ISO removes its characteristic
+  const isoCount = () => zoneSunset.service.characteristics
+    .filter(c => c.name === 'Event Time ISO').length;
+  zoneConfig.timeZone = 'Mars/Olympus_Mons';
+  zoneConfig.isoTime = false;
+  zoneAcc._instance.cleanup();
+  zoneAcc._instance = new SuncalcAccessory(mockLog, zoneConfig, mockApi, zoneAcc);
+
+  const fallbackPassed = isoCount() === 0 && !zoneAcc._instance.timeFormatter.timeZone;
+  console.log(
+    `Invalid zone fallback & ISO removal: ` +
+    `${fallbackPassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+  if (!fallbackPassed) {
+    throw new Error('Invalid time zone or ISO removal not handled');
+  }
+
+  // ---------------------------------------------------------
+  // STAGE 15: Clock-Time Clamps
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 15: Clock-Time Clamps');
+
+  const clampConfig = {
+    name: 'Clamp-Test',
+    mode: 'basic',
+    location: { lat: 51.5, lon: -0.1 },
+    timeZone: 'Europe/London',
+    hourCycle: 'h23',
+    clamps: [
+      { event: 'sunset', notBefore: '17:00', notAfter: '21:00' },
+      { event: 'sunrise', notBefore: '06:30', days: ['mon', 'tue', 'wed', 'thu', 'fri'] },
+      { event: 'sunrise', notBefore: '25:00' }
+    ]
+  };
+  const clampPlatform = new Suncalc2Platform(mockLog, clampConfig, mockApi);
+  const clampUuid = mockApi.hap.uuid.generate('homebridge-suncalc-2:Clamp-Test');
+
+  clampPlatform.api.emit('didFinishLaunching');
+  await new Promise(r => setTimeout(r, 50));
+
+  const clampInstance = clampPlatform.platformAccessories.get(clampUuid)._instance;
+  const clampOccupied = key => clampInstance.sensors[key].service
+    .getCharacteristic(mockApi.hap.Characteristic.OccupancyDetected).value === 1;
+
+  // Friday 21 June: sunrise (04:43) waits until 06:30, sunset (21:21) is pulled back to 21:00
+  clampInstance.updateSunTimes(new Date('2024-06-21T04:00:00Z'));
+  const weekdayPassed = clampInstance.sensors.sunrise.timeChar.value === '06:30:00' &&
+    clampInstance.sensors.sunset.timeChar.value === '21:00:00' &&
+    clampOccupied('sunset') && clampInstance.clamps.length === 2;
+
+  // Saturday 22 June: the weekday rule does not apply
+  clampInstance.updateSunTimes(new Date('2024-06-22T04:00:00Z'));
+  const weekendPassed = clampInstance.sensors.sunrise.timeChar.value.startsWith('04:4') &&
+    clampOccupied('sunrise');
+
+  console.log(
+    `Weekday clamps: ` +
+    `${weekdayPassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+  console.log(
+    `Weekend sunrise unclamped: ` +
+    `${weekendPassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+  clampInstance.cleanup();
+  if (!weekdayPassed || !weekendPassed) {
+    throw new Error('Clock-time clamps not applied correctly');
+  }
+
+  // ---------------------------------------------------------
+  // STAGE 16: Momentary Triggers
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 16: Momentary Triggers');
+
+  const pulseConfig = {
+    name: 'Pulse-Test',
+    mode: 'basic',
+    location: { lat: 51.5, lon: -0.1 },
+    triggers: { sunrise: 'both', sunset: 'pulse' },
+    pulseLength: 0.05
+  };
+  const pulsePlatform = new Suncalc2Platform(mockLog, pulseConfig, mockApi);
+  const pulseUuid = mockApi.hap.uuid.generate('homebridge-suncalc-2:Pulse-Test');
+
+  pulsePlatform.api.emit('didFinishLaunching');
+  await new Promise(r => setTimeout(r, 50));
+
+  const pulseAcc = pulsePlatform.platformAccessories.get(pulseUuid);
+  const motionServices = () => pulseAcc.services
+    .filter(s => s.UUID === mockApi.hap.Service.MotionSensor);
+  const servicesPassed = motionServices().length === 2 &&
+    !!pulseAcc._instance.sensors.sunrise && !pulseAcc._instance.sensors.sunset;
+
+  // Crossing London's sunset (18:14Z) fires the sunset trigger, which then resets
+  const sunsetMotion = () => pulseAcc._instance.pulseSensors.sunset.service
+    .getCharacteristic(mockApi.hap.Characteristic.MotionDetected).value;
+  pulseAcc._instance.updateSunTimes(new Date('2024-03-20T18:00:00Z'));
+  const beforeSunset = sunsetMotion();
+  pulseAcc._instance.updateSunTimes(new Date('2024-03-20T18:15:00Z'));
+  const atSunset = sunsetMotion();
+  await new Promise(r => setTimeout(r, 100));
+  const pulsePassed = servicesPassed && beforeSunset === false && atSunset === true &&
+    sunsetMotion() === false &&
+    pulseAcc._instance.sensors.sunrise.timeChar.value !== null;
+
+  console.log(
+    `Sunset pulse: ${pulsePassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+
+  // Switching back to windowed triggers removes the Motion Sensors
+  delete pulseConfig.triggers;
+  pulseAcc._instance.cleanup();
+  pulseAcc._instance = new SuncalcAccessory(mockLog, pulseConfig, mockApi, pulseAcc);
+  const prunePassed = motionServices().length === 0 && !!pulseAcc._instance.sensors.sunset;
+  pulseAcc._instance.cleanup();
+
+  console.log(
+    `Motion Sensors pruned: ` +
+    `${prunePassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+  if (!pulsePassed || !prunePassed) {
+    throw new Error('Momentary triggers not handled correctly');
+  }
+
+  // ---------------------------------------------------------
+  // STAGE 17: Service Types
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 17: Service Types');
+
+  const typeConfig = {
+    name: 'Type-Test',
+    mode: 'basic',
+    location: { lat: 51.5, lon: -0.1 },
+    aggregates: ['daylight'],
+    serviceType: 'contact',
+    serviceTypes: { sunset: 'switch' }
+  };
+  const typePlatform = new Suncalc2Platform(mockLog, typeConfig, mockApi);
+  const typeUuid = mockApi.hap.uuid.generate('homebridge-suncalc-2:Type-Test');
+
+  typePlatform.api.emit('didFinishLaunching');
+  await new Promise(r => setTimeout(r, 50));
+
+  const typeAcc = typePlatform.platformAccessories.get(typeUuid);
+  const { Service: HapService, Characteristic: HapChar } = mockApi.hap;
+  typeAcc._instance.updateSunTimes(new Date('2024-03-20T12:00:00Z'));
+
+  const sunriseContact = typeAcc._instance.sensors.sunrise.service;
+  const sunsetSwitch = typeAcc._instance.sensors.sunset.service;
+  const daylightContact = typeAcc._instance.aggregateSensors.daylight.service;
+
+  // Writes to a switch are reverted to the computed state
+  sunsetSwitch.getCharacteristic(HapChar.On).setValue(true);
+  await new Promise(r => setImmediate(r));
+
+  const typesPassed = sunriseContact.UUID === HapService.ContactSensor &&
+    sunriseContact.getCharacteristic(HapChar.ContactSensorState).value ===
+      HapChar.ContactSensorState.CONTACT_NOT_DETECTED &&
+    daylightContact.UUID === HapService.ContactSensor &&
+    sunsetSwitch.UUID === HapService.Switch &&
+    sunsetSwitch.getCharacteristic(HapChar.On).value === false;
+
+  console.log(
+    `Contact & Switch sensors: ` +
+    `${typesPassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+
+  // Switching back to Occupancy Sensors migrates the cached services
+  delete typeConfig.serviceType;
+  delete typeConfig.serviceTypes;
+  typeAcc._instance.cleanup();
+  typeAcc._instance = new SuncalcAccessory(mockLog, typeConfig, mockApi, typeAcc);
+
+  const typeServices = typeAcc.services.filter(s => s.subtype);
+  const migratePassed = typeServices.length === 3 &&
+    typeServices.every(s => s.UUID === HapService.OccupancySensor);
+  typeAcc._instance.cleanup();
+
+  console.log(
+    `Services migrated to Occupancy: ` +
+    `${migratePassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+
+  // Accessories cached by older versions only recorded the mode, not sensors or types
+  const upgradeLegacy = extraConfig => {
+    const legacyUuid = mockApi.hap.uuid.generate('homebridge-suncalc-2:Legacy-Test');
+    // eslint-disable-next-line new-cap
+    const legacyAcc = new mockApi.platformAccessory('Legacy-Test', legacyUuid);
+    legacyAcc.context.mode = 'basic';
+    ['sunrise', 'sunset'].forEach(key => {
+      legacyAcc.addService(HapService.OccupancySensor, key, `${legacyUuid}:${key}`);
+    });
+    legacyAcc._instance = new SuncalcAccessory(mockLog, {
+      name: 'Legacy-Test',
+      mode: 'basic',
+      location: { lat: 51.5, lon: -0.1 },
+      ...extraConfig
+    }, mockApi, legacyAcc);
+    legacyAcc._instance.cleanup();
+    return legacyAcc.services.filter(s => s.subtype);
+  };
+  const legacyContact = upgradeLegacy({ serviceType: 'contact' });
+  const legacyPulse = upgradeLegacy({ trigger: 'pulse' });
+  const upgradePassed = legacyContact.length === 2 &&
+    legacyContact.every(s => s.UUID === HapService.ContactSensor) &&
+    legacyPulse.length === 2 &&
+    legacyPulse.every(s => s.subtype.includes(':pulse:'));
+
+  console.log(
+    `Services migrated from a legacy cache: ` +
+    `${upgradePassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+  if (!typesPassed || !migratePassed || !upgradePassed) {
+    throw new Error('Service types not handled correctly');
+  }
+
+  // ---------------------------------------------------------
+  // STAGE 18: Stable Accessory Identity
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 18: Stable Accessory Identity');
+
+  const idLocation = { lat: 51.5, lon: -0.1 };
+  const idErrors = [];
+  const idLog = {
+    ...mockLog,
+    error: msg => {
+      idErrors.push(msg);
+      mockLog.error(msg);
+    }
+  };
+  const launchInstances = async(instances, cached = []) => {
+    const idPlatform = new Suncalc2Platform(idLog, { instances }, mockApi);
+    cached.forEach(cachedAccessory => idPlatform.configureAccessory(cachedAccessory));
+    idPlatform.api.emit('didFinishLaunching');
+    await new Promise(r => setTimeout(r, 50));
+    idPlatform._shutdown();
+    return idPlatform;
+  };
+
+  // A name-based accessory is adopted when an id is added, and survives a rename
+  const homeUuid = mockApi.hap.uuid.generate('homebridge-suncalc-2:Home');
+  const homeAcc = (await launchInstances([{ name: 'Home', mode: 'basic', location: idLocation }]))
+    .platformAccessories.get(homeUuid);
+  const adopted = await launchInstances(
+    [{ id: 'home', name: 'Home', mode: 'basic', location: idLocation }],
+    [homeAcc]
+  );
+  const renamed = await launchInstances(
+    [{ id: 'home', name: 'House', mode: 'basic', location: idLocation }],
+    [homeAcc]
+  );
+  // A new instance without an id, named like the renamed one, must not take its accessory
+  const reused = await launchInstances([
+    { name: 'Home', mode: 'basic', location: idLocation },
+    { id: 'home', name: 'House', mode: 'basic', location: idLocation }
+  ], [homeAcc]);
+  const identityPassed = adopted.platformAccessories.get(homeUuid) === homeAcc &&
+    renamed.platformAccessories.get(homeUuid) === homeAcc &&
+    renamed.platformAccessories.size === 1 &&
+    homeAcc.context.id === 'home' &&
+    homeAcc.displayName === 'House' &&
+    reused.platformAccessories.get(homeUuid) === homeAcc &&
+    reused.platformAccessories.size === 1 &&
+    homeAcc.context.id === 'home' && homeAcc._instance?.platformName === 'House' &&
+    idErrors.some(msg => msg.startsWith(`Instance 'Home' has no id`));
+
+  // Duplicate names are reported and the second instance is skipped
+  const duplicates = await launchInstances([
+    { name: 'Dup', mode: 'basic', location: idLocation },
+    { name: 'Dup', mode: 'extended', location: idLocation }
+  ]);
+  const collisionPassed = duplicates.platformAccessories.size === 1 &&
+    idErrors.some(msg => msg.includes(`name 'Dup' is already used`));
+
+  console.log(
+    `Id survives rename: ` +
+    `${identityPassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+  console.log(
+    `UUID collision reported: ` +
+    `${collisionPassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+  if (!identityPassed || !collisionPassed) {
+    throw new Error('Accessory identity not handled correctly');
+  }
+
+  // ---------------------------------------------------------
+  // STAGE 19: Config Validation
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 19: Config Validation');
+
+  idErrors.length = 0;
+  const badLatUuid = mockApi.hap.uuid.generate('homebridge-suncalc-2:Bad-Lat');
+  // eslint-disable-next-line new-cap
+  const badLatAcc = new mockApi.platformAccessory('Bad-Lat', badLatUuid);
+  const validation = await launchInstances([
+    { name: 'Good', mode: 'basic', location: idLocation },
+    { name: 'String-Lat', mode: 'basic', location: { lat: '51.5', lon: '-0.1' } },
+    { name: 'Bad-Lat', mode: 'basic', location: { lat: '51.5x', lon: -0.1 } },
+    { name: 'Bad-Mode', mode: 'everything', location: idLocation, offset: { dusk: 'soon' } }
+  ], [badLatAcc]);
+
+  const goodUuid = mockApi.hap.uuid.generate('homebridge-suncalc-2:Good');
+  const expectedErrors = [
+    `Instance 'Bad-Lat' (#3): location.lat must be a number between -90 and 90`,
+    `Instance 'Bad-Mode' (#4): mode must be one of basic, extended, full, custom`,
+    `Instance 'Bad-Mode' (#4): offset.dusk must be a number of minutes`
+  ];
+  // Numeric strings are accepted (as before validation existed) and passed on as numbers
+  const stringLatInstance = validation.platformAccessories
+    .get(mockApi.hap.uuid.generate('homebridge-suncalc-2:String-Lat'))?._instance;
+  const validationPassed = !!validation.platformAccessories.get(goodUuid)?._instance &&
+    validation.platformAccessories.get(badLatUuid) === badLatAcc &&
+    !badLatAcc._instance &&
+    stringLatInstance?.location.lat === 51.5 && stringLatInstance.location.lon === -0.1 &&
+    validation.platformAccessories.size === 3 &&
+    expectedErrors.every(expected => idErrors.some(msg => msg.startsWith(expected)));
+
+  console.log(
+    `Invalid instances skipped: ` +
+    `${validationPassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+  if (!validationPassed) {
+    throw new Error('Invalid instances not reported or skipped correctly');
+  }
+
+  // ---------------------------------------------------------
+  // STAGE 20: Split Layout
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 20: Split Layout');
+
+  const splitConfig = {
+    name: 'Split-Test',
+    mode: 'basic',
+    layout: 'split',
+    aggregates: ['daylight'],
+    location: idLocation
+  };
+  const splitUuid = mockApi.hap.uuid.generate('homebridge-suncalc-2:Split-Test');
+  const sunsetUuid = mockApi.hap.uuid.generate(`${splitUuid}:sunset`);
+
+  // Split: one accessory per phase; the aggregate stays on the instance's accessory
+  const splitPlatform = await launchInstances([splitConfig]);
+  const splitAcc = splitPlatform.platformAccessories.get(splitUuid);
+  const sunsetAcc = splitPlatform.platformAccessories.get(sunsetUuid);
+  const splitPassed = splitPlatform.platformAccessories.size === 3 &&
+    countOccupancySensors(splitAcc) === 1 &&
+    countOccupancySensors(sunsetAcc) === 1 &&
+    sunsetAcc.displayName === 'Split-Test Evening Twilight';
+
+  // Back to grouped: the phase accessories are unregistered and their sensors move back
+  const groupedPlatform = await launchInstances(
+    [{ ...splitConfig, layout: 'grouped' }],
+    [...splitPlatform.platformAccessories.values()]
+  );
+  const groupedPassed = groupedPlatform.platformAccessories.size === 1 &&
+    countOccupancySensors(splitAcc) === 3;
+
+  // And split again: the phase sensors leave the instance's accessory
+  const resplitPlatform = await launchInstances([splitConfig], [splitAcc]);
+  const resplitPassed = resplitPlatform.platformAccessories.size === 3 &&
+    countOccupancySensors(splitAcc) === 1;
+
+  console.log(
+    `Split accessories: ` +
+    `${splitPassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+  console.log(
+    `Grouped again: ` +
+    `${groupedPassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+  console.log(
+    `Split again: ` +
+    `${resplitPassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+
+  // Without extra sensors the instance's accessory still keeps Daylight (never an empty tile),
+  // and a renamed phase accessory is renamed through HAP
+  const bareConfig = { name: 'Split-Bare', mode: 'basic', layout: 'split', location: idLocation };
+  const bareUuid = mockApi.hap.uuid.generate('homebridge-suncalc-2:Split-Bare');
+  const bareSunsetUuid = mockApi.hap.uuid.generate(`${bareUuid}:sunset`);
+  const barePlatform = await launchInstances([bareConfig]);
+  const bareAcc = barePlatform.platformAccessories.get(bareUuid);
+  const bareSunsetAcc = barePlatform.platformAccessories.get(bareSunsetUuid);
+  bareSunsetAcc.displayName = 'Old Name';
+  let renamedThroughHap = false;
+  bareSunsetAcc.updateDisplayName = name => {
+    renamedThroughHap = true;
+    bareSunsetAcc.displayName = name;
+  };
+  await launchInstances([bareConfig], [...barePlatform.platformAccessories.values()]);
+  const barePassed = countOccupancySensors(bareAcc) === 1 &&
+    bareAcc.services.some(s => s.subtype?.endsWith(':aggregate:daylight')) &&
+    renamedThroughHap && bareSunsetAcc.displayName === 'Split-Bare Evening Twilight';
+
+  console.log(
+    `Instance accessory never empty: ` +
+    `${barePassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+  if (!splitPassed || !groupedPassed || !resplitPassed || !barePassed) {
+    throw new Error('Split layout not reconciled correctly');
+  }
+
+  // ---------------------------------------------------------
+  // STAGE 21: HTTP API
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 21: HTTP API');
+
+  const httpPlatform = new Suncalc2Platform(mockLog, {
+    httpApi: { enabled: true, host: '127.0.0.1', port: 0 },
+    instances: [{
+      id: 'api',
+      name: 'Api-Test',
+      mode: 'basic',
+      location: idLocation,
+      timeZone: 'Europe/London'
+    }]
+  }, mockApi);
+  httpPlatform.api.emit('didFinishLaunching');
+  await new Promise(r => setTimeout(r, 100));
+
+  const httpBase = `http://127.0.0.1:${httpPlatform.httpApi.server.address().port}`;
+  const httpGet = async path => {
+    const response = await fetch(`${httpBase}${path}`);
+    return { status: response.status, body: await response.text() };
+  };
+
+  const dayResponse = await httpGet('/api/instances/api?date=2024-03-20');
+  const day = JSON.parse(dayResponse.body);
+  const missing = await httpGet('/api/instances/nowhere');
+  const badDate = await httpGet('/api/instances?date=someday');
+  const metrics = await httpGet('/metrics');
+  // A path like '//' is not a valid URL; it must be rejected, not crash the listener
+  const doubleSlash = await new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: httpPlatform.httpApi.server.address().port, path: '//' },
+      response => {
+        response.resume();
+        resolve(response.statusCode);
+      }
+    ).on('error', reject);
+  });
+  httpPlatform._shutdown();
+
+  const apiPassed = dayResponse.status === 200 &&
+    day.name === 'Api-Test' &&
+    day.active?.key === 'sunrise' &&
+    day.next?.key === 'sunset' &&
+    day.events.find(event => event.key === 'sunset')?.time === '2024-03-20T18:14:21+00:00' &&
+    missing.status === 404 &&
+    badDate.status === 400 &&
+    doubleSlash === 400;
+  const metricsPassed = metrics.status === 200 &&
+    metrics.body.includes('# TYPE suncalc_phase_active gauge') &&
+    /suncalc_event_timestamp_seconds\{instance="Api-Test",event="sunset"\} \d+/.test(metrics.body);
+
+  console.log(
+    `JSON endpoints: ${apiPassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+  console.log(
+    `Prometheus metrics: ` +
+    `${metricsPassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+  if (!apiPassed || !metricsPassed) {
+    throw new Error('HTTP API responses incorrect');
+  }
+
+  // ---------------------------------------------------------
+  // STAGE 22: Webhooks
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 22: Webhooks');
+
+  // Local stand-in endpoint: fails the first request, then accepts
+  const hookRequests = [];
+  const hookServer = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      hookRequests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      res.writeHead(hookRequests.length === 1 ? 503 : 200);
+      res.end();
+    });
+  });
+  await new Promise(r => hookServer.listen(0, '127.0.0.1', r));
+  const hookPort = hookServer.address().port;
+
+  // The name needs encoding in the URL and escaping in the JSON body
+  const hookName = 'Hook "Test" \\ & #1';
+  const hookPlatform = new Suncalc2Platform(mockLog, {
+    name: hookName,
+    mode: 'basic',
+    location: idLocation,
+    timeZone: 'Europe/London',
+    webhooks: [
+      {
+        url: `http://127.0.0.1:${hookPort}/hook/{event}?who={instance}`,
+        headers: { 'X-Token': 'secret' },
+        body: '{"who":"{instance}","what":"{name}","at":"{time}"}',
+        events: ['sunset'],
+        retries: 2,
+        retryDelay: 0.05,
+        timeout: 1
+      }
+    ]
+  }, mockApi);
+  hookPlatform.api.emit('didFinishLaunching');
+  await new Promise(r => setTimeout(r, 50));
+
+  const hookUuid = mockApi.hap.uuid.generate(`homebridge-suncalc-2:${hookName}`);
+  const hookInstance = hookPlatform.platformAccessories.get(hookUuid)._instance;
+  hookInstance.updateSunTimes(new Date('2024-03-20T12:00:00Z'));
+  hookInstance.updateSunTimes(new Date('2024-03-20T18:30:00Z'));
+  await new Promise(r => setTimeout(r, 300));
+  hookInstance.cleanup();
+  await new Promise(r => hookServer.close(r));
+
+  const delivered = hookRequests[hookRequests.length - 1];
+  const hookPassed = hookRequests.length === 2 &&
+    delivered.method === 'POST' &&
+    delivered.url === `/hook/sunset?who=${encodeURIComponent(hookName)}` &&
+    delivered.headers['x-token'] === 'secret' &&
+    delivered.body === JSON.stringify({
+      who: hookName,
+      what: 'Evening Twilight',
+      at: '2024-03-20T18:14:21+00:00'
+    });
+
+  console.log(
+    `Sunset webhook (retried once): ` +
+    `${hookPassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+  if (!hookPassed) {
+    throw new Error('Webhook not delivered correctly');
+  }
+
+  // ---------------------------------------------------------
+  // STAGE 23: MQTT publishing
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 23: MQTT publishing');
+
+  // Local broker: record every message the plugin publishes
+  const { Aedes } = await import('aedes');
+  const broker = await Aedes.createBroker();
+  const brokerServer = net.createServer(broker.handle);
+  await new Promise(r => brokerServer.listen(0, '127.0.0.1', r));
+  const published = [];
+  broker.on('publish', (packet, client) => {
+    if (client) {
+      published.push({
+        topic: packet.topic,
+        payload: packet.payload.toString(),
+        retain: packet.retain
+      });
+    }
+  });
+  const lastPayload = topic => published.filter(msg => msg.topic === topic).pop();
+
+  const mqttPlatform = new Suncalc2Platform(mockLog, {
+    mqtt: {
+      enabled: true,
+      url: `mqtt://127.0.0.1:${brokerServer.address().port}`,
+      topicPrefix: 'home/sun',
+      discovery: true
+    },
+    instances: [{
+      id: 'mq',
+      name: 'Mqtt-Test',
+      mode: 'basic',
+      location: idLocation,
+      timeZone: 'Europe/London'
+    }]
+  }, mockApi);
+  mqttPlatform.api.emit('didFinishLaunching');
+  for (let i = 0; i < 40 && !lastPayload('home/sun/status'); i++) {
+    await new Promise(r => setTimeout(r, 50));
+  }
+
+  const mqttUuid = mockApi.hap.uuid.generate('homebridge-suncalc-2:id:mq');
+  const mqttInstance = mqttPlatform.platformAccessories.get(mqttUuid)._instance;
+  mqttInstance.updateSunTimes(new Date('2024-03-20T12:00:00Z'));
+  mqttInstance.updateSunTimes(new Date('2024-03-20T18:30:00Z'));
+  await new Promise(r => setTimeout(r, 200));
+  mqttPlatform._shutdown();
+  await new Promise(r => setTimeout(r, 100));
+  await new Promise(r => broker.close(r));
+  await new Promise(r => brokerServer.close(r));
+
+  const transition = lastPayload('home/sun/mq/transition');
+  const discovery = lastPayload('homeassistant/sensor/suncalc_mq_sunset/config');
+  const mqttPassed = lastPayload('home/sun/mq/phase')?.payload === 'sunset' &&
+    lastPayload('home/sun/mq/phase')?.retain === true &&
+    lastPayload('home/sun/mq/events/sunset')?.payload === '2024-03-20T18:14:21+00:00' &&
+    JSON.parse(lastPayload('home/sun/mq/state')?.payload || '{}').active?.key === 'sunset' &&
+    transition?.retain === false &&
+    JSON.parse(transition.payload).event === 'sunset' &&
+    JSON.parse(discovery?.payload || '{}').state_topic === 'home/sun/mq/events/sunset' &&
+    lastPayload('home/sun/status')?.payload === 'offline';
+
+  console.log(
+    `Retained state, transition event and discovery: ` +
+    `${mqttPassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+  if (!mqttPassed) {
+    throw new Error('MQTT messages not published correctly');
+  }
+
+  // ---------------------------------------------------------
+  // STAGE 24: Manual Overrides
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 24: Manual Overrides');
+
+  const overrideConfig = {
+    name: 'Override-Test',
+    mode: 'basic',
+    location: idLocation,
+    aggregates: ['daylight'],
+    overrides: { enabled: true, expiresAfter: 60 }
+  };
+  const overridePlatform = new Suncalc2Platform(mockLog, overrideConfig, mockApi);
+  overridePlatform.api.emit('didFinishLaunching');
+  await new Promise(r => setTimeout(r, 50));
+
+  const overrideUuid = mockApi.hap.uuid.generate('homebridge-suncalc-2:Override-Test');
+  const overrideAcc = overridePlatform.platformAccessories.get(overrideUuid);
+  const { On } = mockApi.hap.Characteristic;
+  const overrideSwitch = mode => overrideAcc._instance.overrideSwitches[mode].getCharacteristic(On);
+  const activePhase = () => overrideAcc._instance.activeKey;
+  const daylight = () => overrideAcc._instance.aggregateSensors.daylight.active;
+
+  // 'Force Night' at midday shows the night phase until it is switched off
+  overrideSwitch('night').setValue(true);
+  overrideAcc._instance.updateSunTimes(new Date('2024-03-20T12:00:00Z'));
+  const forcedNight = activePhase() === 'sunset' && daylight() === false &&
+    overrideAcc.context.override?.mode === 'night';
+
+  // The override survives a restart
+  overrideAcc._instance.cleanup();
+  overrideAcc._instance = new SuncalcAccessory(mockLog, overrideConfig, mockApi, overrideAcc);
+  overrideAcc._instance.updateSunTimes(new Date('2024-03-20T12:00:00Z'));
+  const restored = activePhase() === 'sunset' && overrideSwitch('night').value === true &&
+    overrideSwitch('day').value === false;
+
+  // 'Force Day' in the evening, until it expires an hour later
+  const forcedTransitions = [];
+  overrideAcc._instance.events.on('transition', transition => forcedTransitions.push(transition));
+  overrideAcc._instance.setOverride('day', new Date('2024-03-20T20:00:00Z'));
+  overrideAcc._instance.updateSunTimes(new Date('2024-03-20T20:30:00Z'));
+  const forcedSnapshot = overrideAcc._instance.getSnapshot(new Date('2024-03-20T20:30:00Z'));
+  const forcedDay = activePhase() === 'sunrise' && daylight() === true &&
+    overrideSwitch('night').value === false &&
+    forcedSnapshot.active?.key === 'sunrise' && forcedSnapshot.override?.mode === 'day';
+  overrideAcc._instance.updateSunTimes(new Date('2024-03-20T21:01:00Z'));
+  const expired = activePhase() === 'sunset' && daylight() === false &&
+    overrideSwitch('day').value === false && !overrideAcc.context.override &&
+    overrideAcc._instance.getSnapshot(new Date('2024-03-20T21:01:00Z')).active?.key === 'sunset';
+  // Forced transitions happen when the override starts or ends, not when the phase began
+  const forcedTimesPassed = forcedTransitions.length === 2 &&
+    forcedTransitions[0].event === 'sunrise' &&
+    forcedTransitions[0].time === '2024-03-20T20:00:00+00:00' &&
+    forcedTransitions[1].event === 'sunset' &&
+    forcedTransitions[1].time === '2024-03-20T21:01:00+00:00';
+  overridePlatform._shutdown();
+
+  // Under the midnight sun even the middle of the night is daylight: 'Force Night' is refused
+  // (and its switch turned back off); in the polar night 'Force Day' is
+  const polarOverrideErrors = [];
+  const polarOverridePlatform = new Suncalc2Platform({
+    ...mockLog,
+    error: msg => {
+      polarOverrideErrors.push(msg);
+      mockLog.error(msg);
+    }
+  }, {
+    name: 'Polar-Override',
+    mode: 'basic',
+    location: { lat: 78.22, lon: 15.63 },
+    timeZone: 'Europe/Oslo',
+    overrides: { enabled: true },
+    simulation: { enabled: true, start: '2024-06-21T12:00:00Z' }
+  }, mockApi);
+  polarOverridePlatform.api.emit('didFinishLaunching');
+  await new Promise(r => setTimeout(r, 50));
+
+  const polarOverride = polarOverridePlatform.platformAccessories
+    .get(mockApi.hap.uuid.generate('homebridge-suncalc-2:Polar-Override'))._instance;
+  const polarNightSwitch = polarOverride.overrideSwitches.night.getCharacteristic(On);
+  polarNightSwitch.setValue(true);
+  await new Promise(r => setImmediate(r));
+  const nightRefused = polarNightSwitch.value === false && !polarOverride.override;
+  const polarWinter = new Date('2024-12-21T12:00:00Z');
+  const dayRefused = polarOverride.setOverride('day', polarWinter) === false;
+  const nightAccepted = polarOverride.setOverride('night', polarWinter) === true;
+  polarOverridePlatform._shutdown();
+
+  const polarOverridePassed = nightRefused &&
+    dayRefused && nightAccepted && polarOverride.override?.mode === 'night' &&
+    polarOverrideErrors.some(msg => msg.includes('Force Night\' refused')) &&
+    polarOverrideErrors.some(msg => msg.includes('Force Day\' refused'));
+  console.log(
+    `Overrides refused when the polar day or night contradicts them: ` +
+    `${polarOverridePassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+
+  const overridePassed = forcedNight && restored && forcedDay && expired && forcedTimesPassed &&
+    polarOverridePassed;
+  console.log(
+    `Force Night / Force Day with expiry: ` +
+    `${overridePassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+  if (!overridePassed) {
+    throw new Error('Manual overrides not handled correctly');
+  }
+
+  // ---------------------------------------------------------
+  // STAGE 25: Simulation
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 25: Simulation');
+
+  // One real second is ten simulated minutes; the real scheduler reaches sunset (18:14:21Z)
+  const simPlatform = new Suncalc2Platform(mockLog, {
+    instances: [
+      {
+        name: 'Sim-Test',
+        mode: 'basic',
+        location: idLocation,
+        triggers: { sunset: 'both' },
+        simulation: { enabled: true, start: '2024-03-20T18:13:00Z', speed: 600 }
+      },
+      {
+        name: 'Sim-Invalid',
+        mode: 'basic',
+        location: idLocation,
+        simulation: { enabled: true, start: 'someday' }
+      }
+    ]
+  }, mockApi);
+  simPlatform.api.emit('didFinishLaunching');
+  await new Promise(r => setTimeout(r, 50));
+
+  const simInstance = simPlatform.platformAccessories
+    .get(mockApi.hap.uuid.generate('homebridge-suncalc-2:Sim-Test'))._instance;
+  const invalidSim = simPlatform.platformAccessories
+    .get(mockApi.hap.uuid.generate('homebridge-suncalc-2:Sim-Invalid'))._instance;
+  const beforeSimSunset = simInstance.activeKey;
+  const firedPulses = [];
+  const firePulse = simInstance.firePulse.bind(simInstance);
+  simInstance.firePulse = key => {
+    firedPulses.push(key);
+    firePulse(key);
+  };
+  await new Promise(r => setTimeout(r, 500));
+  const simNow = simInstance.clock.now();
+  const simSnapshot = simInstance.getSnapshot();
+  simPlatform._shutdown();
+
+  const simPassed = beforeSimSunset === 'sunrise' &&
+    simInstance.activeKey === 'sunset' &&
+    firedPulses.includes('sunset') &&
+    simNow > new Date('2024-03-20T18:14:21Z') && simNow < new Date('2024-03-20T19:00:00Z') &&
+    simSnapshot.simulated === true && simSnapshot.active?.key === 'sunset' &&
+    invalidSim.clock.simulated === false;
+
+  console.log(
+    `Virtual clock drives the scheduler: ` +
+    `${simPassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+  if (!simPassed) {
+    throw new Error('Simulation not handled correctly');
+  }
+
+  // ---------------------------------------------------------
+  // STAGE 26: Scheduling Watchdog
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 26: Scheduling Watchdog');
+
+  // Midsummer in Svalbard has no events: the next update is still right after local midnight
+  const watchPlatform = new Suncalc2Platform(mockLog, {
+    name: 'Watch-Test',
+    mode: 'basic',
+    location: { lat: 78.22, lon: 15.65 },
+    timeZone: 'Europe/Oslo',
+    simulation: { enabled: true, start: '2024-06-21T12:00:00Z' }
+  }, mockApi);
+  watchPlatform.api.emit('didFinishLaunching');
+  await new Promise(r => setTimeout(r, 50));
+
+  const watchInstance = watchPlatform.platformAccessories
+    .get(mockApi.hap.uuid.generate('homebridge-suncalc-2:Watch-Test'))._instance;
+  const midnightPassed = watchInstance.polarState === 'midnightSun' &&
+    watchInstance.nextUpdateAt?.toISOString() === '2024-06-21T22:00:01.000Z';
+
+  // A regular tick is ignored; a 10-minute gap (host sleep) or a late timer recalculates
+  const onTime = watchInstance.checkClockDrift(watchInstance.watchdogTick + 60 * 1000 + 500);
+  const afterSleep = watchInstance.checkClockDrift(watchInstance.watchdogTick + 11 * 60 * 1000);
+  watchInstance.expectedWake = Date.now() - 5 * 60 * 1000;
+  const lateTimer = watchInstance.checkClockDrift(watchInstance.watchdogTick + 60 * 1000);
+  watchPlatform._shutdown();
+
+  const watchdogPassed = midnightPassed && !onTime && afterSleep && lateTimer;
+  console.log(
+    `Midnight recompute and drift detection: ` +
+    `${watchdogPassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+  if (!watchdogPassed) {
+    throw new Error('Scheduling watchdog not handled correctly');
+  }
+
+  // ---------------------------------------------------------
+  // STAGE 27: Persisted State
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 27: Persisted State');
+
+  const stateMessages = [];
+  const stateLog = {
+    ...mockLog,
+    info: msg => {
+      stateMessages.push(msg);
+      mockLog.info(msg);
+    }
+  };
+  const stateConfig = {
+    name: 'State-Test',
+    mode: 'basic',
+    location: idLocation,
+    aggregates: ['daylight']
+  };
+  // Each (re)start happens at a known moment: the real clock is pinned while it runs
+  const RealDate = Date;
+  const restartState = (stateAcc, time, config = stateConfig) => {
+    const pinned = new RealDate(time).getTime();
+    global.Date = class extends RealDate {
+      constructor(...args) {
+        const values = args.length ? args : [pinned];
+        super(...values);
+      }
+      static now() {
+        return pinned;
+      }
+    };
+    try {
+      stateAcc._instance?.cleanup();
+      stateAcc._instance = new SuncalcAccessory(stateLog, config, mockApi, stateAcc);
+      stateAcc._instance.cleanup();
+    } finally {
+      global.Date = RealDate;
+    }
+  };
+
+  const stateUuid = mockApi.hap.uuid.generate('homebridge-suncalc-2:State-Test');
+  // eslint-disable-next-line new-cap
+  const stateAcc = new mockApi.platformAccessory('State-Test', stateUuid);
+  restartState(stateAcc, '2024-03-20T12:00:00Z');
+  const savedState = stateAcc.context.lastState;
+  const savedPassed = savedState?.activeKey === 'sunrise' &&
+    savedState.sensorStates.sunrise === true && savedState.sensorStates['aggregate:daylight'] &&
+    savedState.events.sunset?.startsWith('2024-03-20T18:14:21');
+
+  // Restarting in the same phase publishes the restored state once and nothing else
+  const OccupancyDetected = mockApi.hap.Characteristic.OccupancyDetected;
+  const sunriseWrites = [];
+  const sunriseService = stateAcc._instance.sensors.sunrise.service;
+  const updateCharacteristic = sunriseService.updateCharacteristic.bind(sunriseService);
+  sunriseService.updateCharacteristic = (type, value) => {
+    if (type === OccupancyDetected) {
+      sunriseWrites.push(value);
+    }
+    return updateCharacteristic(type, value);
+  };
+  restartState(stateAcc, '2024-03-20T12:30:00Z');
+  sunriseService.updateCharacteristic = updateCharacteristic;
+  const noFlapPassed = sunriseWrites.length === 1 &&
+    sunriseWrites[0] === OccupancyDetected.OCCUPANCY_DETECTED &&
+    !stateMessages.some(msg => msg.includes('Missed transition'));
+
+  // Restarting after sunset logs the transition missed while Homebridge was down
+  restartState(stateAcc, '2024-03-20T19:00:00Z');
+  const missedPassed = stateMessages.some(msg =>
+    msg.includes('Missed transition while Homebridge was down: First Light → Evening Twilight')
+  ) && stateAcc.context.lastState.activeKey === 'sunset';
+
+  // A simulated morning neither saves its state nor makes the next real start log a bogus
+  // missed transition
+  const messagesBeforeSim = stateMessages.length;
+  restartState(stateAcc, '2024-03-20T19:30:00Z', {
+    ...stateConfig,
+    simulation: { enabled: true, start: '2024-03-21T12:00:00Z' }
+  });
+  const simStateKept = stateAcc.context.lastState.activeKey === 'sunset';
+  restartState(stateAcc, '2024-03-20T19:45:00Z');
+  const simPassedState = simStateKept &&
+    !stateMessages.slice(messagesBeforeSim).some(msg => msg.includes('Missed transition'));
+
+  const statePassed = savedPassed && noFlapPassed && missedPassed && simPassedState;
+  console.log(
+    `State saved, restored without flapping, missed transition logged: ` +
+    `${statePassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+  if (!statePassed) {
+    throw new Error('Persisted state not handled correctly');
+  }
+
+  // ---------------------------------------------------------
+  // STAGE 28: Transition History
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 28: Transition History');
+
+  const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'suncalc-test-'));
+  const historyDir = path.join(storagePath, 'suncalc-history');
+  fs.mkdirSync(historyDir);
+  fs.writeFileSync(path.join(historyDir, 'history-2000-01-01.jsonl'), '{}\n');
+
+  const historyApi = { ...mockApi, user: { storagePath: () => storagePath } };
+  const historyPlatform = new Suncalc2Platform(mockLog, {
+    history: { enabled: true, retentionDays: 7 },
+    httpApi: { enabled: true, host: '127.0.0.1', port: 0 },
+    instances: [{
+      id: 'hist',
+      name: 'History-Test',
+      mode: 'basic',
+      location: idLocation,
+      timeZone: 'Europe/London',
+      overrides: { enabled: true }
+    }, {
+      id: 'hist-sim',
+      name: 'History-Sim',
+      mode: 'basic',
+      location: idLocation,
+      simulation: { enabled: true, start: '2024-03-20T18:00:00Z', speed: 100 }
+    }]
+  }, historyApi);
+  historyApi.emit('didFinishLaunching');
+  await new Promise(r => setTimeout(r, 100));
+
+  const historyInstance = historyPlatform.platformAccessories
+    .get(mockApi.hap.uuid.generate('homebridge-suncalc-2:id:hist'))._instance;
+  historyInstance.updateSunTimes(new Date('2024-03-20T12:00:00Z'));
+  historyInstance.updateSunTimes(new Date('2024-03-20T18:30:00Z'));
+  historyInstance.setOverride('night', new Date('2024-03-20T19:00:00Z'));
+  await historyPlatform.history.flush();
+
+  const historyBase = `http://127.0.0.1:${historyPlatform.httpApi.server.address().port}`;
+  const getHistory = async query =>
+    (await fetch(`${historyBase}/api/history${query}`)).json();
+  const lastTransition = await getHistory('?instance=hist&type=transition&limit=1');
+  const overrides = await getHistory('?instance=History-Test&type=override');
+  const startup = (await getHistory('?type=recompute')).filter(entry => entry.reason === 'startup');
+  const simulated = await getHistory('?instance=hist-sim');
+  const badLimit = await fetch(`${historyBase}/api/history?limit=none`);
+  historyPlatform._shutdown();
+
+  const historyFiles = fs.readdirSync(historyDir);
+  fs.rmSync(storagePath, { recursive: true, force: true });
+
+  const historyPassed = lastTransition.length === 1 &&
+    lastTransition[0].event === 'sunset' &&
+    lastTransition[0].time === '2024-03-20T18:14:21+00:00' &&
+    lastTransition[0].id === 'hist' &&
+    overrides.length === 1 && overrides[0].override === 'night' &&
+    startup.length === 1 &&
+    simulated.length === 0 &&
+    badLimit.status === 400 &&
+    !historyFiles.includes('history-2000-01-01.jsonl') && historyFiles.length === 1;
+
+  console.log(
+    `Transitions, overrides and recomputes recorded and queried: ` +
+    `${historyPassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+  if (!historyPassed) {
+    throw new Error('History not recorded correctly');
+  }
+
+  // ---------------------------------------------------------
+  // STAGE 29: Config UI Timeline Preview
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 29: Config UI Timeline Preview');
+
+  const { previewTimeline } = require('../src/accessory');
+  const previewDay = new Date('2024-03-20T12:00:00Z');
+  const london = { name: 'Preview', location: { lat: 51.5074, lon: -0.1278 }, timeZone: 'UTC' };
+
+  const normalPreview = previewTimeline({ ...london, mode: 'basic' }, previewDay);
+  const polarPreview = previewTimeline(
+    { ...london, location: { lat: 78.22, lon: 15.63 } },
+    new Date('2024-06-21T12:00:00Z')
+  );
+  const overlapPreview = previewTimeline(
+    { ...london, mode: 'basic', offset: { sunrise: 800 } },
+    previewDay
+  );
+  const invalidPreview = previewTimeline({ name: 'No Location' }, previewDay);
+
+  const sunsetPreview = normalPreview.events.find(event => event.key === 'sunset');
+  const previewPassed = normalPreview.errors.length === 0 &&
+    normalPreview.warnings.length === 0 &&
+    normalPreview.polarState === 'normal' &&
+    sunsetPreview?.iso?.startsWith('2024-03-20T18:14') &&
+    polarPreview.polarState === 'midnightSun' &&
+    polarPreview.warnings.some(msg => msg.includes('sun never sets')) &&
+    overlapPreview.warnings.some(msg => msg.includes('overlap')) &&
+    invalidPreview.errors.length > 0 && invalidPreview.events.length === 0;
+
+  console.log(
+    `Preview lists events with polar, overlap and config warnings: ` +
+    `${previewPassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+  if (!previewPassed) {
+    console.log(JSON.stringify({ normalPreview, polarPreview, overlapPreview, invalidPreview }));
+    throw new Error('Timeline preview incorrect');
+  }
+
+  // ---------------------------------------------------------
+  // STAGE 30: Place-Name Locations
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 30: Place-Name Locations');
+
+  const placeMessages = [];
+  const placeLog = {
+    ...mockLog,
+    info: msg => {
+      placeMessages.push(msg);
+      mockLog.info(msg);
+    },
+    error: msg => {
+      placeMessages.push(msg);
+      mockLog.error(msg);
+    }
+  };
+  const placePlatform = new Suncalc2Platform(placeLog, {
+    instances: [
+      { name: 'Place-City', mode: 'basic', location: 'Springfield, Ohio' },
+      { name: 'Place-Ambiguous', mode: 'basic', location: { place: 'London' } },
+      { name: 'Place-Zip', mode: 'basic', location: '90210', timeZone: 'UTC' },
+      { name: 'Place-Unknown', mode: 'basic', location: 'Atlantis' }
+    ]
+  }, mockApi);
+  placePlatform.api.emit('didFinishLaunching');
+  await new Promise(r => setTimeout(r, 50));
+  placePlatform._shutdown();
+
+  const getPlaceAccessory = name => placePlatform.platformAccessories
+    .get(mockApi.hap.uuid.generate(`homebridge-suncalc-2:${name}`));
+  const cityPlace = getPlaceAccessory('Place-City')?.context.place;
+  const ambiguousPlace = getPlaceAccessory('Place-Ambiguous')?.context.place;
+  const zipAccessory = getPlaceAccessory('Place-Zip');
+
+  const placePassed = cityPlace?.query === 'Springfield, Ohio' &&
+    Math.abs(cityPlace.lat - 39.92) < 0.01 && Math.abs(cityPlace.lon + 83.8) < 0.01 &&
+    cityPlace.timeZone === 'America/New_York' &&
+    getPlaceAccessory('Place-City')._instance.timeFormatter.timeZone === 'America/New_York' &&
+    ambiguousPlace?.name === 'London, Westminster, United Kingdom' &&
+    placeMessages.some(msg => msg.includes('also matches London, Ontario, Canada')) &&
+    zipAccessory?.context.place.name.startsWith('90210 Beverly Hills') &&
+    zipAccessory._instance.timeFormatter.timeZone === 'UTC' &&
+    !getPlaceAccessory('Place-Unknown') &&
+    placeMessages.some(msg => msg.includes('"Atlantis" matches no place'));
+
+  console.log(
+    `Place names and postcodes resolved offline, ambiguity logged: ` +
+    `${placePassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+  if (!placePassed) {
+    throw new Error('Place-name locations not resolved correctly');
+  }
+
+  // ---------------------------------------------------------
+  // STAGE 31: Slow Simulation at a Polar Location
+  // ---------------------------------------------------------
+  console.log('\n>> STAGE 31: Slow Simulation at a Polar Location');
+
+  // Midnight sun: nothing happens until midnight, which a slow clock reaches days later
+  const slowErrors = [];
+  const slowLog = {
+    ...mockLog,
+    error: msg => {
+      slowErrors.push(msg);
+      mockLog.error(msg);
+    }
+  };
+  const overflowWarnings = [];
+  const onWarning = warning => {
+    if (warning.name === 'TimeoutOverflowWarning') {
+      overflowWarnings.push(warning);
+    }
+  };
+  process.on('warning', onWarning);
+
+  const slowPlatform = new Suncalc2Platform(slowLog, {
+    instances: [
+      {
+        name: 'Slow-Sim',
+        mode: 'basic',
+        location: { lat: 78.22, lon: 15.63 },
+        timeZone: 'UTC',
+        simulation: { enabled: true, start: '2024-06-20T00:01:00Z', speed: 0.1 }
+      },
+      {
+        name: 'Too-Slow-Sim',
+        mode: 'basic',
+        location: { lat: 78.22, lon: 15.63 },
+        simulation: { enabled: true, start: '2024-06-20T00:01:00Z', speed: 0.01 }
+      }
+    ]
+  }, mockApi);
+  slowPlatform.api.emit('didFinishLaunching');
+  await new Promise(r => setTimeout(r, 50));
+
+  const slowInstance = slowPlatform.platformAccessories
+    .get(mockApi.hap.uuid.generate('homebridge-suncalc-2:Slow-Sim'))._instance;
+  const tooSlowInstance = slowPlatform.platformAccessories
+    .get(mockApi.hap.uuid.generate('homebridge-suncalc-2:Too-Slow-Sim'))._instance;
+  let slowUpdates = 0;
+  slowInstance.events.on('update', () => slowUpdates++);
+
+  // A wait beyond setTimeout's limit is capped, and the capped timer does not recompute
+  slowInstance.scheduleUpdate(new Date(slowInstance.clock.now().getTime() + 30 * 86400000));
+  const cappedWait = slowInstance.expectedWake - Date.now();
+  await new Promise(r => setTimeout(r, 300));
+  slowPlatform._shutdown();
+  await new Promise(r => setImmediate(r));
+  process.off('warning', onWarning);
+
+  const slowPassed = slowUpdates === 0 &&
+    overflowWarnings.length === 0 &&
+    cappedWait > 2147483647 - 1000 && cappedWait <= 2147483647 &&
+    slowInstance.clock.simulated &&
+    !tooSlowInstance.clock.simulated &&
+    slowErrors.some(msg => msg.includes('invalid speed'));
+
+  console.log(
+    `Slow clock waits without spinning, too-slow speed rejected: ` +
+    `${slowPassed ? style('OK', 'bold', 'green') : style('FAILED', 'bold', 'red')}`
+  );
+  if (!slowPassed) {
+    throw new Error('Slow simulated clock not scheduled correctly');
+  }
+
   console.log(style('\nALL TESTS PASSED SUCCESSFULLY', 'bold', 'green'));
   process.exit(0);
 }